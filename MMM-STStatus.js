@@ -12,17 +12,48 @@ Module.register("MMM-STStatus", {
   // Default configuration
   defaults: {
     token: "",                    // Legacy: SmartThings Personal Access Token (deprecated)
+    account: "default",           // OAuth account profile saved by: node setup.js --account <name>
     devices: [],                  // Explicit device list: [{ id: "xxx", name: "Name" }]
     hiddenDevices: [],            // Device IDs to hide from display while still fetching/broadcasting
     rooms: [],                    // Room names to include: ["Living Room", "Kitchen"]
+    location: null,               // Location name or ID, or an array of them (default: first location)
     pollInterval: 60000,          // Polling interval in ms (default: 60 seconds)
+    bulkStatus: true,             // Fetch statuses with one listing call per location (includeStatus)
+    statusConcurrency: 4,         // Max per-device status requests in flight (1-8)
+    healthInterval: 300000,       // How often to check device health in ms (0 = off, min 60000)
+    criticalDevices: [],          // Device IDs that raise a footer alert when they go offline
+    alertRules: [],               // Device condition alerts: [{ capability: "contact", state: "open", duration: 600000 }]
+    capabilityHandlers: {},       // Add or override capability handlers (see capability-registry.js)
+    historyRetention: 604800000,  // How long state changes are kept in ms (default: 7 days, 0 = off)
+    historyLimit: 500,            // Max state changes kept per module instance
+    realtime: false,              // Receive device events via SmartThings subscriptions (webhook)
+    webhookPort: 8093,            // Local port for the SmartThings webhook receiver
+    reconcileInterval: 900000,    // Full re-poll interval while realtime is active (default: 15 minutes)
     broadcastDeviceData: false,   // Broadcast normalized device data for other modules
     broadcastNotification: "STSTATUS_DEVICE_DATA",
+    broadcastChanges: false,      // Send one notification per device state change
+    changeNotification: "STSTATUS_DEVICE_CHANGED",
+    interactive: false,           // Tap rows to toggle switches, locks and blinds (touchscreens)
+    allowCommands: false,         // Accept device commands from other modules via commandNotification
+    commandNotification: "STSTATUS_SEND_COMMAND",
     showLastUpdated: true,        // Show last updated timestamp
     showDeviceType: true,         // Show device type column
+    showLocation: false,          // Show the location name next to each device name
+    showEnergySummary: false,     // Show total power draw across visible devices and per room
+    notifyCycleFinished: false,   // Show an alert when a washer, dryer or dishwasher finishes
+    filterReplaceThreshold: 90,   // Filter usage (%) at which ACs and purifiers show "replace filter"
+    doorbells: [],                // Device IDs or names of buttons to show as doorbells
+    doorbellAlert: false,         // Show an alert when a doorbell is pressed
+    airQualityThresholds: {       // [good up to, moderate up to] - anything higher is poor
+      airQuality: [50, 100],      // AQI
+      co2: [800, 1200],           // ppm
+      pm25: [12, 35],             // µg/m³
+      pm10: [54, 154],            // µg/m³
+      voc: [0.3, 1]               // in the unit the sensor reports (usually ppm)
+    },
     fontSize: 100,                // Font size as percentage (100 = default)
     temperatureUnit: "F",         // "F" or "C"
-    defaultSort: "name",          // Sort by: "name", "room", "capability"
+    defaultSort: "name",          // Sort by: "name", "room", "location", "capability"
     debug: false,                 // Enable verbose logging
     testMode: false               // Use mock data instead of live API
   },
@@ -42,9 +73,27 @@ Module.register("MMM-STStatus", {
   CAPABILITY_ICONS: {
     switch: { on: "fa-lightbulb", off: "fa-lightbulb" },
     contact: { open: "fa-door-open", closed: "fa-door-closed" },
+    garageDoor: { open: "fa-warehouse", closed: "fa-warehouse", opening: "fa-warehouse", closing: "fa-warehouse", unknown: "fa-warehouse" },
     motion: { active: "fa-person-walking", inactive: "fa-person" },
+    occupancy: { occupied: "fa-user-check", unoccupied: "fa-user" },
+    acceleration: { active: "fa-wave-square", inactive: "fa-wave-square" },
+    button: "fa-circle-dot",
     lock: { locked: "fa-lock", unlocked: "fa-lock-open" },
     presence: { present: "fa-house-user", notPresent: "fa-house" },
+    smoke: { clear: "fa-smog", detected: "fa-fire", tested: "fa-smog" },
+    carbonMonoxide: { clear: "fa-cloud", detected: "fa-skull-crossbones", tested: "fa-cloud" },
+    water: { dry: "fa-droplet-slash", wet: "fa-water" },
+    washer: "fa-shirt",
+    dryer: "fa-wind",
+    dishwasher: "fa-utensils",
+    media: "fa-tv",
+    fan: "fa-fan",
+    airConditioner: "fa-snowflake",
+    airPurifier: "fa-leaf",
+    airQuality: "fa-wind",
+    co2: "fa-lungs",
+    pm25: "fa-smog",
+    voc: "fa-flask",
     temperature: "fa-thermometer-half",
     humidity: "fa-droplet",
     blinds: { open: "fa-window-maximize", closed: "fa-window-maximize", partially: "fa-window-maximize" },
@@ -66,18 +115,55 @@ Module.register("MMM-STStatus", {
     unlocked: "state-unlocked",
     active: "state-motion",
     inactive: "state-inactive",
+    occupied: "state-motion",
+    unoccupied: "state-inactive",
     present: "state-home",
     notPresent: "state-away",
-    partially: "state-partially"
+    partially: "state-partially",
+    clear: "state-safe",
+    tested: "state-partially",
+    detected: "state-alarm",
+    opening: "state-moving",
+    closing: "state-moving",
+    unknown: "state-unknown",
+    run: "state-running",
+    pause: "state-partially",
+    stop: "state-off",
+    playing: "state-on",
+    paused: "state-partially",
+    stopped: "state-off"
+  },
+
+  // State color classes that only apply to one capability (an AC in "dry" mode is not a dry leak sensor)
+  CAPABILITY_STATE_CLASSES: {
+    water: { dry: "state-safe", wet: "state-alarm" }
   },
 
   // Capability to friendly label translation keys
   CAPABILITY_LABELS: {
     switch: "TYPE_SWITCH",
     contact: "TYPE_DOOR_SENSOR",
+    garageDoor: "TYPE_GARAGE_DOOR",
     motion: "TYPE_MOTION_SENSOR",
+    occupancy: "TYPE_OCCUPANCY",
+    acceleration: "TYPE_VIBRATION",
+    button: "TYPE_BUTTON",
     lock: "TYPE_LOCK",
     presence: "TYPE_PRESENCE",
+    smoke: "TYPE_SMOKE",
+    carbonMonoxide: "TYPE_CO",
+    water: "TYPE_WATER",
+    washer: "TYPE_WASHER",
+    dryer: "TYPE_DRYER",
+    dishwasher: "TYPE_DISHWASHER",
+    media: "TYPE_MEDIA",
+    fan: "TYPE_FAN",
+    airConditioner: "TYPE_AC",
+    airPurifier: "TYPE_PURIFIER",
+    airQuality: "TYPE_AIR_QUALITY",
+    co2: "TYPE_AIR_QUALITY",
+    pm25: "TYPE_AIR_QUALITY",
+    voc: "TYPE_AIR_QUALITY",
     temperature: "TYPE_THERMOSTAT",
     humidity: "TYPE_HUMIDITY",
     blinds: "TYPE_BLINDS",
@@ -85,12 +171,92 @@ Module.register("MMM-STStatus", {
     battery: "TYPE_BATTERY"
   },
 
+  // Appliance cycle phase (jobState) to translation keys; unlisted phases show as RUNNING
+  APPLIANCE_JOBS: {
+    weightSensing: "JOB_SENSING",
+    prewash: "JOB_WASH",
+    wash: "JOB_WASH",
+    rinse: "JOB_RINSE",
+    spin: "JOB_SPIN",
+    preDrain: "JOB_DRAIN",
+    postDrain: "JOB_DRAIN",
+    drying: "JOB_DRY",
+    cooling: "JOB_COOL",
+    wrinklePrevent: "JOB_WRINKLE",
+    delayWash: "JOB_DELAYED",
+    finish: "JOB_FINISHED",
+    finished: "JOB_FINISHED"
+  },
+
+  // Button events to translation keys; unlisted events show as reported
+  BUTTON_EVENTS: {
+    pushed: "PUSHED",
+    held: "HELD",
+    down_hold: "HELD",
+    double: "DOUBLE_PRESSED",
+    pushed_2x: "DOUBLE_PRESSED"
+  },
+
+  // Air conditioner modes and fan modes to translation keys; unlisted modes show as reported
+  CLIMATE_MODES: {
+    auto: "MODE_AUTO",
+    cool: "COOL",
+    heat: "HEAT",
+    dry: "MODE_DRY",
+    fan: "MODE_FAN",
+    fanOnly: "MODE_FAN",
+    wind: "MODE_FAN",
+    low: "FAN_LOW",
+    medium: "FAN_MEDIUM",
+    high: "FAN_HIGH",
+    turbo: "FAN_TURBO",
+    sleep: "FAN_SLEEP"
+  },
+
+  // Air quality readings: label, display unit and icon per normalized field
+  AIR_QUALITY_METRICS: {
+    airQuality: { label: "AQI", unit: "", icon: "fa-wind" },
+    co2: { label: "CO₂", unit: " ppm", icon: "fa-lungs" },
+    pm25: { label: "PM2.5", unit: " µg/m³", icon: "fa-smog" },
+    pm10: { label: "PM10", unit: " µg/m³", icon: "fa-smog" },
+    voc: { label: "VOC", unit: " ppm", icon: "fa-flask" }
+  },
+
+  // Commands sent when an interactive row is tapped
+  TAP_COMMANDS: {
+    switch: function (device) {
+      return { capability: "switch", command: device.primaryState === "on" ? "off" : "on" };
+    },
+    lock: function (device) {
+      return { capability: "lock", command: device.primaryState === "locked" ? "unlock" : "lock" };
+    },
+    blinds: function (device) {
+      const level = typeof device.primaryState === "number" ? device.primaryState : device.level;
+      return { capability: "windowShade", command: level > 0 ? "close" : "open" };
+    },
+    garageDoor: function (device) {
+      const capabilities = device.capabilities || {};
+      const capability = capabilities.garageDoorControl !== undefined ? "garageDoorControl" : "doorControl";
+      return { capability: capability, command: device.primaryState === "closed" ? "open" : "close" };
+    }
+  },
+
+  // Security-sensitive capabilities that need a second tap to confirm
+  CONFIRM_CAPABILITIES: ["lock", "garageDoor"],
+
+  COMMAND_TIMEOUT: 15000,   // Clear a pending spinner if no result arrives
+  CONFIRM_TIMEOUT: 5000,    // How long a row waits for the confirming tap
+  TOAST_DURATION: 6000,     // How long a command error stays visible
+  PRESS_HIGHLIGHT: 10000,   // How long a row stays highlighted after a button press
+
   // Module state
   deviceData: [],
+  allDevices: [],      // Latest DEVICE_DATA before hiddenDevices filtering
   loading: true,
   error: null,
   lastUpdate: null,
-  currentAlert: null,  // { type: string, messageKey: string }
+  currentAlert: null,  // { type: string, messageKey: string, params: Object }
+  deviceHistory: [],   // State changes from node_helper, oldest first
 
   /**
    * Called when module starts
@@ -98,6 +264,14 @@ Module.register("MMM-STStatus", {
   start: function () {
     Log.info("[MMM-STStatus] Starting module...");
 
+    // Per-instance interaction state (pending commands, confirm prompt, error toast)
+    this.pendingCommands = {};
+    this.confirming = null;
+    this.commandError = null;
+    this.deviceAlerts = [];
+    this.buttonEvents = {};    // deviceId -> last known buttonAt
+    this.recentPresses = {};   // deviceId -> highlight timer
+
     // Config validation is minimal now - OAuth data is loaded from encrypted file by node_helper
     // Only validate that we have devices/rooms configured (unless in test mode)
     if (this.config.devices.length === 0 && this.config.rooms.length === 0 && !this.config.testMode) {
@@ -137,6 +311,31 @@ Module.register("MMM-STStatus", {
     };
   },
 
+  /**
+   * Handle notifications from other modules
+   */
+  notificationReceived: function (notification, payload) {
+    if (notification === this.config.commandNotification && this.config.allowCommands) {
+      this.sendCommand(payload);
+    }
+  },
+
+  /**
+   * Ask node_helper to send a device command
+   * @param {Object} command - { deviceId, capability, command, arguments }
+   */
+  sendCommand: function (command) {
+    if (!command || !command.deviceId) {
+      Log.warn("[MMM-STStatus] Ignoring command without deviceId");
+      return;
+    }
+
+    this.sendSocketNotification("SEND_COMMAND", {
+      ...command,
+      identifier: this.identifier
+    });
+  },
+
   /**
    * Handle socket notifications from node_helper
    */
@@ -153,7 +352,9 @@ Module.register("MMM-STStatus", {
       case "DEVICE_DATA":
         this.loading = false;
         this.error = null;
-        this.deviceData = this.filterDevices(payload.devices || []);
+        this.detectButtonPresses(payload.devices || []);
+        this.allDevices = payload.devices || [];
+        this.deviceData = this.filterDevices(this.allDevices);
         this.lastUpdate = payload.timestamp || new Date().toISOString();
         if (this.config.broadcastDeviceData && this.config.broadcastNotification) {
           this.sendNotification(this.config.broadcastNotification, {
@@ -164,12 +365,53 @@ Module.register("MMM-STStatus", {
         this.updateDom();
         break;
 
+      case "DEVICE_CHANGES":
+        for (const change of payload.changes || []) {
+          if (this.config.broadcastChanges && this.config.changeNotification) {
+            this.sendNotification(this.config.changeNotification, change);
+          }
+          if (this.config.notifyCycleFinished && this.isCycleFinished(change)) {
+            this.sendNotification("SHOW_ALERT", {
+              type: "notification",
+              title: "SmartThings",
+              message: this.escapeHtml(this.translate("CYCLE_FINISHED", { name: change.deviceName }))
+            });
+          }
+        }
+        break;
+
+      case "DEVICE_ALERTS": {
+        const previousIds = this.deviceAlerts.map(alert => alert.id);
+        this.deviceAlerts = payload.alerts || [];
+        for (const alert of this.deviceAlerts) {
+          if (alert.showAlert && !previousIds.includes(alert.id)) {
+            this.sendNotification("SHOW_ALERT", {
+              type: "notification",
+              title: "SmartThings",
+              message: this.escapeHtml(this.getRuleAlertText(alert))
+            });
+          }
+        }
+        this.updateDom();
+        break;
+      }
+
+      case "DEVICE_HISTORY":
+        this.deviceHistory = payload.entries || [];
+        if (this.config.broadcastDeviceData) {
+          this.sendNotification("STSTATUS_DEVICE_HISTORY", {
+            entries: this.deviceHistory
+          });
+        }
+        break;
+
       case "ERROR":
         this.loading = false;
         this.error = payload.message || "Unknown error";
         Log.error("[MMM-STStatus] ERROR: " + this.error);
         // Keep showing old data if available
         if (payload.cached && payload.devices) {
+          this.allDevices = payload.devices;
           this.deviceData = payload.devices;
           this.lastUpdate = payload.timestamp;
         }
@@ -184,12 +426,27 @@ Module.register("MMM-STStatus", {
       case "ALERT":
         this.currentAlert = {
           type: payload.type,
-          messageKey: payload.messageKey
+          messageKey: payload.messageKey,
+          params: payload.params || {}
         };
         Log.warn("[MMM-STStatus] Alert: " + payload.type);
         this.updateDom();
         break;
 
+      case "COMMAND_RESULT":
+        if (payload.success) {
+          Log.info("[MMM-STStatus] Command " + payload.capability + "." + payload.command + " sent to " + payload.deviceId);
+        } else {
+          Log.warn("[MMM-STStatus] Command failed for " + payload.deviceId + ": " + payload.error);
+        }
+        if (this.config.allowCommands) {
+          this.sendNotification("STSTATUS_COMMAND_RESULT", payload);
+        }
+        if (this.handleCommandResult(payload)) {
+          this.updateDom();
+        }
+        break;
+
       case "ALERT_CLEAR":
         this.currentAlert = null;
         Log.info("[MMM-STStatus] Alert cleared");
@@ -226,16 +483,54 @@ Module.register("MMM-STStatus", {
     // Show device table
     if (this.deviceData.length > 0) {
       wrapper.appendChild(this.getDeviceTable());
+      if (this.config.showEnergySummary) {
+        const summary = this.getEnergySummary();
+        if (summary) {
+          wrapper.appendChild(summary);
+        }
+      }
     } else if (!this.error) {
       wrapper.innerHTML = '<div class="no-devices">' + this.translate("NO_DEVICES") + '</div>';
     }
 
-    // Footer: Show alert OR last update time (alert takes precedence)
+    // Command error toast (interactive mode)
+    if (this.commandError) {
+      const toast = document.createElement("div");
+      toast.className = "command-toast";
+      toast.innerHTML = '<i class="fas fa-circle-exclamation"></i> ';
+      // Device names come from SmartThings - never parse them as HTML
+      toast.appendChild(document.createTextNode(this.translate("COMMAND_FAILED", { name: this.commandError.name })));
+      wrapper.appendChild(toast);
+    }
+
+    // Footer: Show alerts OR last update time (alerts take precedence)
+    const footerAlerts = [];
     if (this.currentAlert) {
-      const alertDiv = document.createElement("div");
-      alertDiv.className = "footer-alert";
-      alertDiv.innerHTML = '<i class="fas fa-exclamation-triangle"></i> ' + this.translate(this.currentAlert.messageKey);
-      wrapper.appendChild(alertDiv);
+      footerAlerts.push({
+        icon: "fa-exclamation-triangle",
+        text: this.translate(this.currentAlert.messageKey, this.currentAlert.params || {})
+      });
+    }
+    const offlineCritical = this.getOfflineCriticalDevices();
+    if (offlineCritical.length > 0) {
+      footerAlerts.push({
+        icon: "fa-plug-circle-xmark",
+        text: this.translate("ALERT_DEVICE_OFFLINE", { name: offlineCritical.map(d => d.name).join(", ") })
+      });
+    }
+    for (const alert of this.deviceAlerts) {
+      footerAlerts.push({ icon: "fa-bell", text: this.getRuleAlertText(alert) });
+    }
+
+    if (footerAlerts.length > 0) {
+      for (const alert of footerAlerts) {
+        const alertDiv = document.createElement("div");
+        alertDiv.className = "footer-alert";
+        alertDiv.innerHTML = '<i class="fas ' + alert.icon + '"></i> ';
+        // Device names come from SmartThings - never parse them as HTML
+        alertDiv.appendChild(document.createTextNode(alert.text));
+        wrapper.appendChild(alertDiv);
+      }
     } else if (this.config.showLastUpdated && this.lastUpdate) {
       const footer = document.createElement("div");
       footer.className = "last-updated";
@@ -246,6 +541,18 @@ Module.register("MMM-STStatus", {
     return wrapper;
   },
 
+  /**
+   * Escape text for notifications that other modules render as HTML (SHOW_ALERT)
+   */
+  escapeHtml: function (text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+  },
+
   /**
    * Generate loading HTML
    */
@@ -289,6 +596,12 @@ Module.register("MMM-STStatus", {
     const nameCell = document.createElement("td");
     nameCell.className = "device-name";
     nameCell.textContent = device.name || device.label || this.translate("UNKNOWN_DEVICE");
+    if (this.config.showLocation && device.location) {
+      const locationLabel = document.createElement("span");
+      locationLabel.className = "device-location";
+      locationLabel.textContent = device.location;
+      nameCell.appendChild(locationLabel);
+    }
     row.appendChild(nameCell);
 
     // Type cell (optional)
@@ -311,18 +624,313 @@ Module.register("MMM-STStatus", {
     secondaryCell.innerHTML = this.getSecondaryStatus(device);
     row.appendChild(secondaryCell);
 
+    if (this.recentPresses[device.id]) {
+      row.classList.add("pressed");
+    }
+
+    // Offline devices still report their last state - dim the row and say since when
+    if (device.health === "offline") {
+      row.classList.add("offline");
+      const since = device.healthUpdatedAt
+        ? this.translate("OFFLINE_SINCE", { time: this.formatSince(device.healthUpdatedAt) })
+        : this.translate("OFFLINE");
+      secondaryCell.innerHTML = '<span class="secondary-item state-offline"><i class="fas fa-plug-circle-xmark"></i> ' + since + '</span>';
+    }
+
+    // Interactive mode: tap to send the row's command
+    if (this.isTappable(device)) {
+      row.classList.add("tappable");
+      row.addEventListener("click", () => this.handleRowTap(device));
+
+      if (this.pendingCommands[device.id]) {
+        row.classList.add("pending");
+        statusCell.innerHTML = '<span class="status-value"><i class="fas fa-spinner fa-spin"></i></span>';
+      } else if (this.confirming && this.confirming.deviceId === device.id) {
+        row.classList.add("confirming");
+        statusCell.innerHTML = '<span class="status-value state-confirm">' + this.translate("TAP_TO_CONFIRM") + '</span>';
+      }
+    }
+
     return row;
   },
 
+  /**
+   * Devices listed in criticalDevices whose last health check reported offline
+   */
+  getOfflineCriticalDevices: function () {
+    const critical = Array.isArray(this.config.criticalDevices) ? this.config.criticalDevices : [];
+    if (critical.length === 0) {
+      return [];
+    }
+    // Hidden devices still count: a critical device may be listed only for this alert
+    return this.allDevices.filter(d => critical.includes(d.id) && d.health === "offline");
+  },
+
+  /**
+   * Footer text for an alertRules alert - the rule's own message, or a translated default
+   * Plain text: callers set it with a text node or escape it before it reaches HTML.
+   * @param {Object} alert - Alert from node_helper DEVICE_ALERTS
+   */
+  getRuleAlertText: function (alert) {
+    if (alert.message) {
+      return alert.message
+        .replace(/\{name\}/g, alert.deviceName)
+        .replace(/\{value\}/g, alert.value);
+    }
+
+    switch (alert.condition) {
+      case "state": {
+        const state = this.translate(String(alert.value).toUpperCase());
+        const minutes = Math.round(alert.duration / 60000);
+        return minutes > 0
+          ? this.translate("ALERT_RULE_STATE", { name: alert.deviceName, state: state, minutes: minutes })
+          : this.translate("ALERT_RULE_STATE_NOW", { name: alert.deviceName, state: state });
+      }
+      case "above":
+        return this.translate("ALERT_RULE_ABOVE", { name: alert.deviceName, value: alert.value, threshold: alert.threshold });
+      case "below":
+        return this.translate("ALERT_RULE_BELOW", { name: alert.deviceName, value: alert.value, threshold: alert.threshold });
+      case "batteryBelow":
+        return this.translate("ALERT_RULE_BATTERY", { name: alert.deviceName, value: alert.value });
+      default:
+        return alert.deviceName;
+    }
+  },
+
+  /**
+   * Total power across visible devices, then per room (rooms sorted by name)
+   * @returns {HTMLElement|null} Summary row, or null if no device reports power
+   */
+  getEnergySummary: function () {
+    const metered = this.deviceData.filter(d => typeof d.power === "number");
+    if (metered.length === 0) {
+      return null;
+    }
+
+    const rooms = {};
+    let total = 0;
+    for (const device of metered) {
+      total += device.power;
+      if (device.room) {
+        rooms[device.room] = (rooms[device.room] || 0) + device.power;
+      }
+    }
+
+    const summary = document.createElement("div");
+    summary.className = "energy-summary";
+
+    const totalSpan = document.createElement("span");
+    totalSpan.className = "energy-total";
+    totalSpan.innerHTML = '<i class="fas fa-bolt"></i> ';
+    totalSpan.appendChild(document.createTextNode(this.translate("POWER_TOTAL") + ": " + this.formatPower(total)));
+    summary.appendChild(totalSpan);
+
+    // Room names come from SmartThings - never parse them as HTML
+    for (const room of Object.keys(rooms).sort()) {
+      const roomSpan = document.createElement("span");
+      roomSpan.className = "energy-room";
+      roomSpan.textContent = room + " " + this.formatPower(rooms[room]);
+      summary.appendChild(document.createTextNode(" "));
+      summary.appendChild(roomSpan);
+    }
+
+    return summary;
+  },
+
+  /**
+   * Colour class for an air quality reading against airQualityThresholds
+   * @param {string} metric - airQuality, co2, pm25, pm10 or voc
+   * @param {number} value - Reading
+   * @returns {string} aq-good, aq-moderate, aq-poor, or "" without thresholds
+   */
+  getAirQualityClass: function (metric, value) {
+    const configured = this.config.airQualityThresholds || {};
+    const thresholds = configured[metric] || this.defaults.airQualityThresholds[metric];
+    if (!Array.isArray(thresholds) || typeof value !== "number") {
+      return "";
+    }
+    if (value <= thresholds[0]) {
+      return "aq-good";
+    }
+    return value <= thresholds[1] ? "aq-moderate" : "aq-poor";
+  },
+
+  /**
+   * Air quality reading with its unit (VOC uses the unit the sensor reports), escaped for innerHTML
+   */
+  formatAirQuality: function (metric, device) {
+    const unit = metric === "voc" && device.vocUnit ? " " + device.vocUnit : this.AIR_QUALITY_METRICS[metric].unit;
+    return this.escapeHtml(device[metric] + unit);
+  },
+
+  /**
+   * Format watts, switching to kW from 1000 W
+   */
+  formatPower: function (watts) {
+    if (Math.abs(watts) >= 1000) {
+      return (watts / 1000).toFixed(2) + " kW";
+    }
+    return Math.round(watts) + " W";
+  },
+
+  /**
+   * Find the config.devices entry for a device, if any
+   */
+  getDeviceConfig: function (deviceId) {
+    const devices = Array.isArray(this.config.devices) ? this.config.devices : [];
+    return devices.find(d => d.id === deviceId) || {};
+  },
+
+  /**
+   * Whether tapping this row sends a command
+   * Requires interactive mode, a supported capability, and no `tappable: false` on the device entry
+   */
+  isTappable: function (device) {
+    if (!this.config.interactive || !this.TAP_COMMANDS[device.primaryCapability]) {
+      return false;
+    }
+    return this.getDeviceConfig(device.id).tappable !== false;
+  },
+
+  /**
+   * Whether a tap must be confirmed (locks, garage doors, or `confirm: true` on the device entry)
+   */
+  needsConfirm: function (device) {
+    return this.CONFIRM_CAPABILITIES.indexOf(device.primaryCapability) !== -1 ||
+      this.getDeviceConfig(device.id).confirm === true;
+  },
+
+  /**
+   * Handle a tap on an interactive row
+   */
+  handleRowTap: function (device) {
+    if (this.pendingCommands[device.id]) {
+      return;
+    }
+
+    if (this.needsConfirm(device) && !(this.confirming && this.confirming.deviceId === device.id)) {
+      this.clearConfirming();
+      this.confirming = {
+        deviceId: device.id,
+        timer: setTimeout(() => {
+          this.confirming = null;
+          this.updateDom();
+        }, this.CONFIRM_TIMEOUT)
+      };
+      this.updateDom();
+      return;
+    }
+
+    this.clearConfirming();
+
+    const command = this.TAP_COMMANDS[device.primaryCapability](device);
+    const requestId = device.id + ":" + Date.now();
+
+    this.pendingCommands[device.id] = {
+      requestId: requestId,
+      name: device.name,
+      timer: setTimeout(() => {
+        delete this.pendingCommands[device.id];
+        this.updateDom();
+      }, this.COMMAND_TIMEOUT)
+    };
+
+    this.sendCommand({
+      deviceId: device.id,
+      capability: command.capability,
+      command: command.command,
+      requestId: requestId
+    });
+    this.updateDom();
+  },
+
+  /**
+   * Highlight rows whose button event changed since the last update, and alert for doorbells
+   * The first update only records the events, so a restart doesn't replay old presses.
+   * @param {Array} devices - All devices from DEVICE_DATA, including hidden ones
+   */
+  detectButtonPresses: function (devices) {
+    for (const device of devices) {
+      if (device.primaryCapability !== "button" || device.buttonAt === undefined) {
+        continue;
+      }
+
+      const known = device.id in this.buttonEvents;
+      const previous = this.buttonEvents[device.id];
+      this.buttonEvents[device.id] = device.buttonAt;
+      if (!known || !device.buttonAt || device.buttonAt === previous) {
+        continue;
+      }
+
+      clearTimeout(this.recentPresses[device.id]);
+      this.recentPresses[device.id] = setTimeout(() => {
+        delete this.recentPresses[device.id];
+        this.updateDom();
+      }, this.PRESS_HIGHLIGHT);
+
+      if (this.config.doorbellAlert && device.doorbell) {
+        this.sendNotification("SHOW_ALERT", {
+          type: "notification",
+          title: "SmartThings",
+          message: this.escapeHtml(this.translate("DOORBELL_PRESSED", { name: device.name }))
+        });
+      }
+    }
+  },
+
+  clearConfirming: function () {
+    if (this.confirming) {
+      clearTimeout(this.confirming.timer);
+      this.confirming = null;
+    }
+  },
+
+  /**
+   * Clear the pending spinner for a tap command and show a toast on failure
+   * @returns {boolean} True if the result belonged to a tap from this instance
+   */
+  handleCommandResult: function (result) {
+    const pending = this.pendingCommands[result.deviceId];
+    if (!pending || pending.requestId !== result.requestId) {
+      return false;
+    }
+
+    clearTimeout(pending.timer);
+    delete this.pendingCommands[result.deviceId];
+
+    if (!result.success) {
+      if (this.commandError) {
+        clearTimeout(this.commandError.timer);
+      }
+      this.commandError = {
+        name: pending.name || this.translate("UNKNOWN_DEVICE"),
+        timer: setTimeout(() => {
+          this.commandError = null;
+          this.updateDom();
+        }, this.TOAST_DURATION)
+      };
+    }
+
+    return true;
+  },
+
   /**
    * Get friendly label for device type based on primary capability
    */
   getDeviceTypeLabel: function (device) {
     const capability = device.primaryCapability;
     
+    if (capability === "button" && device.doorbell) {
+      return this.translate("TYPE_DOORBELL");
+    }
     if (capability && this.CAPABILITY_LABELS[capability]) {
       return this.translate(this.CAPABILITY_LABELS[capability]);
     }
+
+    // Label hint from a config capability handler
+    if (device.display && device.display.label) {
+      return this.translate(device.display.label);
+    }
     
     // Fallback: capitalize the capability name or show "Unknown"
     if (capability) {
@@ -341,8 +949,12 @@ Module.register("MMM-STStatus", {
     let iconClass = "fa-question";
     let stateClass = "";
 
-    if (capability && this.CAPABILITY_ICONS[capability]) {
-      const iconDef = this.CAPABILITY_ICONS[capability];
+    // Built-in icons first, then the icon hint from a config capability handler
+    let iconDef = (capability && this.CAPABILITY_ICONS[capability]) || (device.display && device.display.icon);
+    if (capability === "button" && device.doorbell) {
+      iconDef = "fa-bell";
+    }
+    if (iconDef) {
 
       if (typeof iconDef === "string") {
         iconClass = iconDef;
@@ -371,11 +983,20 @@ Module.register("MMM-STStatus", {
       }
 
       // Get state class for coloring
-      if (!stateClass && state && this.STATE_CLASSES[state]) {
-        stateClass = this.STATE_CLASSES[state];
+      if (!stateClass && state) {
+        stateClass = this.getStateClass(capability, state);
+      }
+      if (!stateClass && this.AIR_QUALITY_METRICS[capability]) {
+        stateClass = this.getAirQualityClass(capability, device[capability]);
       }
     }
 
+    // Lights that are on take the bulb's own colour
+    const lightColor = capability === "switch" && state === "on" ? this.getLightColor(device) : null;
+    if (lightColor) {
+      return '<i class="fas ' + iconClass + ' ' + stateClass + '" style="color: ' + lightColor + '"></i>';
+    }
+
     return '<i class="fas ' + iconClass + ' ' + stateClass + '"></i>';
   },
 
@@ -407,16 +1028,98 @@ Module.register("MMM-STStatus", {
         stateClass = state === "open" ? "state-open" : "state-closed";
         break;
 
+      case "garageDoor":
+        if (state === "opening" || state === "closing") {
+          // Animated arrow while the door is moving
+          displayValue = '<i class="fas ' + (state === "opening" ? "fa-arrow-up" : "fa-arrow-down") + ' moving-indicator"></i> ' +
+            this.translate(state.toUpperCase());
+        } else {
+          displayValue = this.translate(state === "open" || state === "closed" ? state.toUpperCase() : "UNKNOWN");
+        }
+        stateClass = this.STATE_CLASSES[state] || "state-unknown";
+        break;
+
       case "motion":
         displayValue = state === "active" ? this.translate("MOTION") : "—";
         stateClass = state === "active" ? "state-motion" : "state-inactive";
         break;
 
+      case "acceleration":
+        displayValue = state === "active" ? this.translate("VIBRATION") : "—";
+        stateClass = state === "active" ? "state-motion" : "state-inactive";
+        break;
+
+      case "button":
+        if (state) {
+          const event = this.BUTTON_EVENTS[state] ? this.translate(this.BUTTON_EVENTS[state]) : this.escapeHtml(state);
+          displayValue = device.buttonAt ? event + " " + this.formatAgo(device.buttonAt) : event;
+          stateClass = this.recentPresses[device.id] ? "state-motion" : "";
+        }
+        break;
+
+      case "occupancy":
+        displayValue = state === "occupied" ? this.translate("OCCUPIED") : "—";
+        stateClass = state === "occupied" ? "state-motion" : "state-inactive";
+        break;
+
       case "presence":
         displayValue = state === "present" ? this.translate("HOME") : this.translate("AWAY");
         stateClass = state === "present" ? "state-home" : "state-away";
         break;
 
+      case "washer":
+      case "dryer":
+      case "dishwasher":
+        displayValue = this.formatApplianceStatus(device);
+        stateClass = this.STATE_CLASSES[state] || "";
+        break;
+
+      case "media":
+        // A TV that is switched off may still report its last playback status
+        if (device.capabilities && device.capabilities.switch === "off") {
+          displayValue = this.translate("OFF");
+          stateClass = "state-off";
+        } else if (state === "playing" || state === "paused" || state === "stopped") {
+          displayValue = this.translate(state.toUpperCase());
+          stateClass = this.STATE_CLASSES[state];
+        } else if (device.capabilities && device.capabilities.switch === "on") {
+          displayValue = this.translate("ON");
+          stateClass = "state-on";
+        }
+        break;
+
+      case "airConditioner":
+      case "airPurifier":
+      case "fan":
+        if ((device.capabilities && device.capabilities.switch === "off") || (capability === "fan" && state === 0)) {
+          displayValue = this.translate("OFF");
+          stateClass = "state-off";
+        } else if (capability === "fan" && typeof state === "number") {
+          displayValue = this.translate("FAN_SPEED", { speed: state });
+          stateClass = "state-on";
+        } else if (state) {
+          displayValue = this.formatClimateMode(state);
+          stateClass = "state-on";
+        }
+        break;
+
+      case "smoke":
+      case "carbonMonoxide":
+      case "water":
+        displayValue = state ? this.translate(state.toUpperCase()) : "—";
+        stateClass = this.getStateClass(capability, state);
+        break;
+
+      case "airQuality":
+      case "co2":
+      case "pm25":
+      case "voc":
+        if (typeof device[capability] === "number") {
+          displayValue = this.formatAirQuality(capability, device);
+          stateClass = this.getAirQualityClass(capability, device[capability]);
+        }
+        break;
+
       case "temperature": {
         const temp =
           typeof state === "number"
@@ -482,12 +1185,132 @@ Module.register("MMM-STStatus", {
     );
   },
 
+  /**
+   * Appliance cycle as "Rinsing — done at 14:35", "Paused" or "Idle"
+   * @param {Object} device - Normalized washer, dryer or dishwasher
+   * @returns {string} Display text
+   */
+  formatApplianceStatus: function (device) {
+    const jobKey = this.APPLIANCE_JOBS[device.jobState];
+
+    if (device.primaryState === "run") {
+      const phase = this.translate(jobKey || "RUNNING");
+      const done = device.completionTime ? new Date(device.completionTime) : null;
+      if (done && !isNaN(done.getTime()) && done.getTime() > Date.now()) {
+        const time = done.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        return phase + " — " + this.translate("DONE_AT", { time: time });
+      }
+      return phase;
+    }
+    if (device.primaryState === "pause") {
+      return this.translate("PAUSED");
+    }
+    return this.translate(jobKey === "JOB_FINISHED" ? "JOB_FINISHED" : "IDLE");
+  },
+
+  /**
+   * Translate an air conditioner or fan mode, falling back to the reported value (escaped for innerHTML)
+   */
+  formatClimateMode: function (mode) {
+    return this.CLIMATE_MODES[mode] ? this.translate(this.CLIMATE_MODES[mode]) : this.escapeHtml(mode);
+  },
+
+  /**
+   * Colour class for a state, preferring one scoped to the capability
+   */
+  getStateClass: function (capability, state) {
+    const scoped = this.CAPABILITY_STATE_CLASSES[capability];
+    return (scoped && scoped[state]) || this.STATE_CLASSES[state] || "";
+  },
+
+  /**
+   * Whether a filter is due for replacement: the device says so, or usage reached filterReplaceThreshold
+   */
+  needsFilterReplacement: function (device) {
+    if (typeof device.filterStatus === "string" && device.filterStatus.toLowerCase() === "replace") {
+      return true;
+    }
+    const threshold = this.config.filterReplaceThreshold;
+    return typeof device.filterUsage === "number" && typeof threshold === "number" && threshold > 0 &&
+      device.filterUsage >= threshold;
+  },
+
+  /**
+   * Whether a bulb is showing a colour rather than tunable white
+   * Colour bulbs in white mode keep reporting their last hue but drop saturation to 0.
+   */
+  isColorMode: function (device) {
+    return typeof device.hue === "number" && typeof device.saturation === "number" &&
+      (device.saturation > 0 || typeof device.colorTemperature !== "number");
+  },
+
+  /**
+   * CSS colour for a bulb: its hue/saturation, or a warm-to-cool white for colour temperature
+   * @param {Object} device - Normalized light
+   * @returns {string|null} CSS colour, or null for plain on/off lights
+   */
+  getLightColor: function (device) {
+    if (this.isColorMode(device)) {
+      // SmartThings reports hue and saturation as 0-100
+      return "hsl(" + Math.round(device.hue * 3.6) + ", " + Math.round(device.saturation) + "%, 60%)";
+    }
+    if (typeof device.colorTemperature !== "number") {
+      return null;
+    }
+
+    // Blend from candlelight amber (2000 K) to daylight blue-white (6500 K)
+    const warm = [255, 169, 87];
+    const cool = [201, 218, 255];
+    const t = Math.min(Math.max((device.colorTemperature - 2000) / 4500, 0), 1);
+    const rgb = warm.map((channel, i) => Math.round(channel + (cool[i] - channel) * t));
+    return "rgb(" + rgb.join(", ") + ")";
+  },
+
+  /**
+   * Current input, or the channel when the TV is on its tuner (or reports no input)
+   * @param {Object} device - Normalized media device
+   * @returns {string|null} Display text
+   */
+  getMediaSource: function (device) {
+    const hasChannel = device.channelName || (device.channel !== undefined && device.channel !== null && device.channel !== "");
+    if (hasChannel && (!device.inputSource || /^(d?tv|digitaltv)$/i.test(device.inputSource))) {
+      return device.channelName || this.translate("CHANNEL", { channel: device.channel });
+    }
+    return device.inputSource || null;
+  },
+
+  /**
+   * Whether a DEVICE_CHANGES entry is an appliance going from running to stopped
+   * @param {Object} change - Change entry from node_helper
+   */
+  isCycleFinished: function (change) {
+    return ["washer", "dryer", "dishwasher"].includes(change.capability) &&
+      change.attribute === "primaryState" && change.oldValue === "run" && change.newValue === "stop";
+  },
+
   /**
    * Get secondary status attributes (battery, temperature, etc.)
    */
   getSecondaryStatus: function (device) {
     const parts = [];
 
+    // Safety alarms from a sensor that isn't the primary one (e.g. CO on a smoke/CO alarm)
+    for (const capability of ["smoke", "carbonMonoxide", "water"]) {
+      const state = device[capability];
+      if (capability !== device.primaryCapability && this.getStateClass(capability, state) === "state-alarm") {
+        parts.push('<span class="secondary-item state-alarm"><i class="fas ' + this.CAPABILITY_ICONS[capability][state] + '"></i> ' +
+          this.translate(this.CAPABILITY_LABELS[capability]) + ': ' + this.translate(state.toUpperCase()) + '</span>');
+      }
+    }
+
+    // Tampering and vibration badges (contact and mailbox sensors)
+    if (device.tamper === "detected") {
+      parts.push('<span class="secondary-item state-alarm"><i class="fas fa-hand"></i> ' + this.translate("TAMPERED") + '</span>');
+    }
+    if (device.acceleration === "active" && device.primaryCapability !== "acceleration") {
+      parts.push('<span class="secondary-item state-motion"><i class="fas fa-wave-square"></i> ' + this.translate("VIBRATION") + '</span>');
+    }
+
     // Add battery if present and not primary
     if (device.battery !== undefined && device.primaryCapability !== "battery") {
       const batteryClass = device.battery < 20 ? "state-battery-low" : "";
@@ -504,6 +1327,65 @@ Module.register("MMM-STStatus", {
       parts.push('<span class="secondary-item"><i class="fas fa-droplet"></i> ' + device.humidity + '%</span>');
     }
 
+    // Light level and UV index (multi-sensors)
+    if (typeof device.illuminance === "number") {
+      parts.push('<span class="secondary-item"><i class="fas fa-cloud-sun"></i> ' + Math.round(device.illuminance) + ' lx</span>');
+    }
+    if (typeof device.uvIndex === "number") {
+      parts.push('<span class="secondary-item"><i class="fas fa-sun"></i> UV ' + device.uvIndex + '</span>');
+    }
+
+    // Air quality readings other than the primary one, coloured by threshold
+    for (const metric of Object.keys(this.AIR_QUALITY_METRICS)) {
+      if (typeof device[metric] === "number" && metric !== device.primaryCapability) {
+        parts.push('<span class="secondary-item ' + this.getAirQualityClass(metric, device[metric]) + '"><i class="fas ' +
+          this.AIR_QUALITY_METRICS[metric].icon + '"></i> ' + this.AIR_QUALITY_METRICS[metric].label + ' ' +
+          this.formatAirQuality(metric, device) + '</span>');
+      }
+    }
+
+    // Power draw and energy use (smart plugs, meters)
+    if (typeof device.power === "number") {
+      parts.push('<span class="secondary-item"><i class="fas fa-bolt"></i> ' + this.formatPower(device.power) + '</span>');
+    }
+    if (typeof device.energy === "number") {
+      parts.push('<span class="secondary-item"><i class="fas fa-plug"></i> ' + device.energy.toFixed(1) + ' kWh</span>');
+    }
+
+    // Media players: input or channel, and volume
+    if (device.primaryCapability === "media" && !(device.capabilities && device.capabilities.switch === "off")) {
+      const source = this.getMediaSource(device);
+      if (source) {
+        // Input and channel names come from the device - never parse them as HTML
+        parts.push('<span class="secondary-item"><i class="fas fa-right-to-bracket"></i> ' + this.escapeHtml(source) + '</span>');
+      }
+      if (device.mute === "muted") {
+        parts.push('<span class="secondary-item"><i class="fas fa-volume-xmark"></i> ' + this.translate("MUTED") + '</span>');
+      } else if (typeof device.volume === "number") {
+        parts.push('<span class="secondary-item"><i class="fas fa-volume-high"></i> ' + device.volume + '%</span>');
+      }
+    }
+
+    // AC fan mode and fan speed (the purifier's fan mode is its primary state)
+    if (device.primaryCapability === "airConditioner" && device.fanMode) {
+      parts.push('<span class="secondary-item"><i class="fas fa-fan"></i> ' + this.formatClimateMode(device.fanMode) + '</span>');
+    }
+    if (typeof device.fanSpeed === "number" && device.primaryCapability !== "fan" && !device.fanMode) {
+      parts.push('<span class="secondary-item"><i class="fas fa-fan"></i> ' + this.translate("FAN_SPEED", { speed: device.fanSpeed }) + '</span>');
+    }
+    if (this.needsFilterReplacement(device)) {
+      parts.push('<span class="secondary-item state-filter"><i class="fas fa-filter"></i> ' + this.translate("REPLACE_FILTER") + '</span>');
+    }
+
+    // Light colour or white temperature while the light is on
+    if (device.primaryCapability === "switch" && device.primaryState === "on") {
+      const lightColor = this.getLightColor(device);
+      if (lightColor) {
+        const kelvin = this.isColorMode(device) ? "" : " " + Math.round(device.colorTemperature) + " K";
+        parts.push('<span class="secondary-item"><span class="color-swatch" style="background: ' + lightColor + '"></span>' + kelvin + '</span>');
+      }
+    }
+
     // Add dimmer level for switch devices that have a level (not blinds)
     if (device.level !== undefined && device.primaryCapability === "switch") {
       parts.push('<span class="secondary-item"><i class="fas fa-sliders"></i> ' + device.level + '%</span>');
@@ -553,6 +1435,10 @@ Module.register("MMM-STStatus", {
       switch (sortBy) {
         case "room":
           return (a.room || "").localeCompare(b.room || "");
+        case "location":
+          return (a.location || "").localeCompare(b.location || "") ||
+            (a.room || "").localeCompare(b.room || "") ||
+            (a.name || "").localeCompare(b.name || "");
         case "capability":
           return (a.primaryCapability || "").localeCompare(b.primaryCapability || "");
         case "name":
@@ -591,5 +1477,36 @@ Module.register("MMM-STStatus", {
   formatTime: function (isoString) {
     const date = new Date(isoString);
     return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+  },
+
+  /**
+   * Format a past timestamp relative to now: "just now", "3 min ago", "2 h ago", then the date
+   */
+  formatAgo: function (isoString) {
+    const minutes = Math.floor((Date.now() - new Date(isoString).getTime()) / 60000);
+    if (isNaN(minutes)) {
+      return "";
+    }
+    if (minutes < 1) {
+      return this.translate("JUST_NOW");
+    }
+    if (minutes < 60) {
+      return this.translate("MINUTES_AGO", { minutes: minutes });
+    }
+    if (minutes < 24 * 60) {
+      return this.translate("HOURS_AGO", { hours: Math.floor(minutes / 60) });
+    }
+    return this.formatSince(isoString);
+  },
+
+  /**
+   * Format a past timestamp: time of day if today, otherwise the date
+   */
+  formatSince: function (isoString) {
+    const date = new Date(isoString);
+    if (date.toDateString() === new Date().toDateString()) {
+      return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    }
+    return date.toLocaleDateString([], { month: 'short', day: 'numeric' });
   }
 });
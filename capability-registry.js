@@ -0,0 +1,447 @@
+/* capability-registry.js
+ * Capability handlers shared by node_helper.js and test-smartthings.js
+ * Each handler maps a SmartThings capability ID to the normalized fields it fills,
+ * so supporting a new device type means adding an entry here (or in config).
+ *
+ * Handler shape:
+ *   primary   - primaryCapability name when this capability is the device's primary one
+ *   priority  - lower wins when a device has several primary-capable capabilities;
+ *               each primary handler needs its own, and the table is kept in priority order
+ *   state     - attribute(s) read for primaryState (default: first attribute with a value),
+ *               or { field: "name" } to reuse a normalized field
+ *   fields    - normalized field -> {
+ *                 attribute    - attribute name or list of names tried in order (default: any)
+ *                 into         - "device" (default), "capabilities" or "both"
+ *                 timestamp    - field that receives the attribute's timestamp
+ *                 units        - { unit: factor } to convert values reported in another unit
+ *                 unitField    - field that receives the attribute's unit as reported
+ *                 anyComponent - also search components other than main
+ *               }
+ *   display   - optional { icon, label } hints the frontend uses for unknown capabilities
+ *
+ * When several handlers fill the same field, the first one in registry order wins.
+ */
+
+/**
+ * Washer, dryer and dishwasher operating states share one shape
+ * @param {string} primary - primaryCapability name
+ * @param {number} priority - Primary priority
+ * @param {string} jobAttribute - Attribute holding the current cycle phase
+ * @returns {Object} Handler definition
+ */
+function applianceHandler(primary, priority, jobAttribute) {
+  return {
+    primary: primary,
+    priority: priority,
+    state: { field: "machineState" },
+    fields: {
+      machineState: { attribute: "machineState", anyComponent: true },
+      jobState: { attribute: jobAttribute, anyComponent: true },
+      completionTime: { attribute: "completionTime", anyComponent: true }
+    }
+  };
+}
+
+/**
+ * Cycle phase and minutes remaining from Samsung's appliance capabilities
+ * @param {string} jobAttribute - Attribute holding the current cycle phase
+ * @returns {Object} Handler definition
+ */
+function applianceDetails(jobAttribute) {
+  return {
+    fields: {
+      jobState: { attribute: jobAttribute, anyComponent: true },
+      remainingTime: { attribute: "remainingTime", anyComponent: true }
+    }
+  };
+}
+
+const DEFAULT_HANDLERS = {
+  // Safety sensors outrank everything else on a multi-sensor device, and keep their
+  // own fields so a combined smoke/CO alarm still reports CO
+  smokeDetector: { primary: "smoke", priority: 1, state: "smoke", fields: { smoke: { attribute: "smoke" } } },
+  carbonMonoxideDetector: {
+    primary: "carbonMonoxide",
+    priority: 2,
+    state: "carbonMonoxide",
+    fields: { carbonMonoxide: { attribute: "carbonMonoxide" } }
+  },
+  waterSensor: { primary: "water", priority: 3, state: "water", fields: { water: { attribute: "water" } } },
+  // Climate devices also report switch (and ACs temperature); the mode is what matters
+  airConditionerMode: {
+    primary: "airConditioner",
+    priority: 4,
+    state: { field: "acMode" },
+    fields: { acMode: { attribute: "airConditionerMode" } }
+  },
+  airPurifierFanMode: {
+    primary: "airPurifier",
+    priority: 5,
+    state: { field: "fanMode" },
+    fields: { fanMode: { attribute: "airPurifierFanMode" } }
+  },
+  airConditionerFanMode: { fields: { fanMode: { attribute: "fanMode" } } },
+  // Filter wear: percent used plus the device's own verdict where it gives one
+  "custom.hepaFilter": {
+    fields: {
+      filterUsage: { attribute: "hepaFilterUsage" },
+      filterStatus: { attribute: "hepaFilterStatus" }
+    }
+  },
+  "custom.dustFilter": {
+    fields: {
+      filterUsage: { attribute: "dustFilterUsage" },
+      filterStatus: { attribute: "dustFilterStatus" }
+    }
+  },
+  filterStatus: { fields: { filterStatus: { attribute: "filterStatus" } } },
+  fanSpeed: {
+    primary: "fan",
+    priority: 6,
+    state: { field: "fanSpeed" },
+    fields: { fanSpeed: { attribute: "fanSpeed" } }
+  },
+  // Appliances also report switch; the cycle is what matters
+  washerOperatingState: applianceHandler("washer", 7, "washerJobState"),
+  dryerOperatingState: applianceHandler("dryer", 8, "dryerJobState"),
+  dishwasherOperatingState: applianceHandler("dishwasher", 9, "dishwasherJobState"),
+  // Samsung's own variants report minutes remaining rather than a completion time
+  "samsungce.washerOperatingState": applianceDetails("washerJobState"),
+  "samsungce.dryerOperatingState": applianceDetails("dryerJobState"),
+  "samsungce.dishwasherOperatingState": applianceDetails("dishwasherJobState"),
+  // TVs and speakers: playback wins over the TV's power switch, which is kept so
+  // the row can tell "off" from "stopped"
+  mediaPlayback: {
+    primary: "media",
+    priority: 10,
+    state: { field: "playback" },
+    fields: { playback: { attribute: "playbackStatus" } }
+  },
+  tvChannel: {
+    primary: "media",
+    priority: 11,
+    state: { field: "playback" },
+    fields: {
+      channel: { attribute: "tvChannel" },
+      channelName: { attribute: "tvChannelName" }
+    }
+  },
+  mediaInputSource: { fields: { inputSource: { attribute: "inputSource" } } },
+  "samsungvd.mediaInputSource": { fields: { inputSource: { attribute: "inputSource" } } },
+  audioVolume: { fields: { volume: { attribute: "volume" } } },
+  audioMute: { fields: { mute: { attribute: "mute" } } },
+  switch: { primary: "switch", priority: 12, fields: { switch: { attribute: "switch", into: "capabilities" } } },
+  // Garage door openers often carry a contact sensor as well; the opener state wins,
+  // and the capability it reports is kept so taps know where to send open/close
+  garageDoorControl: {
+    primary: "garageDoor",
+    priority: 15,
+    state: "door",
+    fields: { garageDoorControl: { attribute: "door", into: "capabilities" } }
+  },
+  doorControl: {
+    primary: "garageDoor",
+    priority: 16,
+    state: "door",
+    fields: { doorControl: { attribute: "door", into: "capabilities" } }
+  },
+  contactSensor: { primary: "contact", priority: 20, state: "contact" },
+  contact: { primary: "contact", priority: 21 },
+  motionSensor: { primary: "motion", priority: 30, state: "motion" },
+  motion: { primary: "motion", priority: 31 },
+  // Ultrasonic / mmWave presence: ranks with motion, which it refines
+  occupancySensor: { primary: "occupancy", priority: 32, state: "occupancy" },
+  // Vibration sensors (mailboxes) on their own; on a contact sensor it is a badge
+  accelerationSensor: {
+    primary: "acceleration",
+    priority: 33,
+    state: "acceleration",
+    fields: { acceleration: { attribute: "acceleration" } }
+  },
+  tamperAlert: { fields: { tamper: { attribute: "tamper" } } },
+  // Buttons have no lasting state, so the last event keeps its timestamp
+  button: {
+    primary: "button",
+    priority: 35,
+    state: "button",
+    fields: { button: { attribute: "button", timestamp: "buttonAt" } }
+  },
+  lock: { primary: "lock", priority: 40, state: "lock" },
+  presenceSensor: { primary: "presence", priority: 50, state: "presence" },
+  presence: { primary: "presence", priority: 51 },
+  windowShade: {
+    primary: "blinds",
+    priority: 60,
+    state: { field: "level" },
+    fields: { level: { attribute: "shadeLevel" } }
+  },
+  colorControl: {
+    fields: {
+      hue: { attribute: "hue" },
+      saturation: { attribute: "saturation" }
+    }
+  },
+  colorTemperature: { fields: { colorTemperature: { attribute: "colorTemperature" } } },
+  windowShadeLevel: { fields: { level: { attribute: "shadeLevel" } } },
+  switchLevel: { fields: { level: { attribute: "level" } } },
+  // Air quality monitors usually report temperature too; the air reading is the point
+  airQualitySensor: {
+    primary: "airQuality",
+    priority: 64,
+    state: { field: "airQuality" },
+    fields: { airQuality: { attribute: "airQuality", into: "both" } }
+  },
+  carbonDioxideMeasurement: {
+    primary: "co2",
+    priority: 65,
+    state: { field: "co2" },
+    fields: { co2: { attribute: "carbonDioxide", into: "both" } }
+  },
+  fineDustSensor: {
+    primary: "pm25",
+    priority: 66,
+    state: { field: "pm25" },
+    fields: { pm25: { attribute: "fineDustLevel", into: "both" } }
+  },
+  dustSensor: {
+    primary: "pm25",
+    priority: 67,
+    state: { field: "pm25" },
+    fields: {
+      pm25: { attribute: "fineDustLevel", into: "both" },
+      pm10: { attribute: "dustLevel", into: "both" }
+    }
+  },
+  tvocMeasurement: {
+    primary: "voc",
+    priority: 68,
+    state: { field: "voc" },
+    fields: { voc: { attribute: "tvocLevel", into: "both", unitField: "vocUnit" } }
+  },
+  temperatureMeasurement: {
+    primary: "temperature",
+    priority: 70,
+    fields: {
+      temperature: { attribute: "temperature", into: "both", timestamp: "temperatureUpdatedAt", anyComponent: true }
+    }
+  },
+  temperature: {
+    fields: {
+      temperature: { attribute: ["temperature", "value"], into: "both", timestamp: "temperatureUpdatedAt", anyComponent: true }
+    }
+  },
+  thermostatTemperature: {
+    fields: {
+      temperature: { attribute: "temperature", into: "both", timestamp: "temperatureUpdatedAt" }
+    }
+  },
+  illuminanceMeasurement: { fields: { illuminance: { attribute: "illuminance", into: "both" } } },
+  ultravioletIndex: { fields: { uvIndex: { attribute: "ultravioletIndex", into: "both" } } },
+  relativeHumidityMeasurement: { fields: { humidity: { attribute: "humidity", into: "both" } } },
+  humidity: { fields: { humidity: {} } },
+  battery: { primary: "battery", priority: 90, fields: { battery: { attribute: "battery" } } },
+  thermostatOperatingState: {
+    fields: {
+      thermostatOperatingState: { attribute: ["thermostatOperatingState", "operatingState"], into: "capabilities" }
+    }
+  },
+  thermostatMode: { fields: { thermostatMode: { attribute: "thermostatMode", into: "capabilities" } } },
+  thermostatHeatingSetpoint: { fields: { heatingSetpoint: { attribute: "heatingSetpoint", into: "both" } } },
+  thermostatCoolingSetpoint: { fields: { coolingSetpoint: { attribute: "coolingSetpoint", into: "both" } } },
+  powerMeter: { fields: { power: { attribute: "power", into: "both", units: { kW: 1000 } } } },
+  energyMeter: { fields: { energy: { attribute: "energy", into: "both", units: { Wh: 0.001 } } } }
+};
+
+const FIELD_TARGETS = ["device", "capabilities", "both"];
+
+/**
+ * Describe what is wrong with a handler definition
+ * @param {Object} handler - Handler definition
+ * @returns {string|null} Problem description, or null if the handler is usable
+ */
+function validateHandler(handler) {
+  if (!handler || typeof handler !== "object" || Array.isArray(handler)) {
+    return "must be an object";
+  }
+  if (handler.primary !== undefined &&
+      (typeof handler.primary !== "string" || !Number.isFinite(handler.priority))) {
+    return "primary needs a string name and a numeric priority";
+  }
+  if (handler.fields !== undefined && (typeof handler.fields !== "object" || Array.isArray(handler.fields))) {
+    return "fields must be an object";
+  }
+  for (const [field, spec] of Object.entries(handler.fields || {})) {
+    if (!spec || typeof spec !== "object") {
+      return "field " + field + " must be an object";
+    }
+    if (spec.into !== undefined && !FIELD_TARGETS.includes(spec.into)) {
+      return "field " + field + " has unknown target " + spec.into;
+    }
+  }
+  return null;
+}
+
+/**
+ * Capability ID of another primary handler that already uses a priority
+ * Ties would leave the primary capability up to key order.
+ * @param {Object} handlers - Registry handlers
+ * @param {string} capabilityId - Capability being added (its own entry is ignored)
+ * @param {number} priority - Priority to look for
+ * @returns {string|null} Conflicting capability ID
+ */
+function priorityConflict(handlers, capabilityId, priority) {
+  for (const [otherId, other] of Object.entries(handlers)) {
+    if (otherId !== capabilityId && other.primary !== undefined && other.priority === priority) {
+      return otherId;
+    }
+  }
+  return null;
+}
+
+/**
+ * Build a registry from the built-in handlers plus config overrides
+ * An override replaces the built-in handler for that capability; false removes it.
+ * @param {Object} overrides - capability ID -> handler (config.capabilityHandlers)
+ * @returns {Object} { handlers, problems } - problems lists skipped overrides
+ */
+function createRegistry(overrides) {
+  const handlers = Object.assign({}, DEFAULT_HANDLERS);
+  const problems = [];
+  const entries = Object.entries(overrides || {});
+
+  // Removals first, so their priorities are free for the overrides that follow
+  for (const [capabilityId, handler] of entries) {
+    if (handler === false || handler === null) {
+      delete handlers[capabilityId];
+    }
+  }
+
+  for (const [capabilityId, handler] of entries) {
+    if (handler === false || handler === null) {
+      continue;
+    }
+
+    let problem = validateHandler(handler);
+    const conflict = !problem && handler.primary !== undefined
+      ? priorityConflict(handlers, capabilityId, handler.priority)
+      : null;
+    if (conflict) {
+      problem = "priority " + handler.priority + " is already used by " + conflict;
+    }
+    if (problem) {
+      problems.push("Capability handler " + capabilityId + ": " + problem);
+      continue;
+    }
+    handlers[capabilityId] = handler;
+  }
+
+  return { handlers, problems };
+}
+
+/**
+ * Find an attribute with a value
+ * @param {Object} capabilityData - { attributeName: { value, unit, timestamp } }
+ * @param {string|Array} names - Attribute name(s) to try in order; any attribute if omitted
+ * @returns {Object|null} The attribute object
+ */
+function findAttribute(capabilityData, names) {
+  if (!capabilityData || typeof capabilityData !== "object") {
+    return null;
+  }
+
+  const candidates = names === undefined ? Object.keys(capabilityData) : [].concat(names);
+  for (const name of candidates) {
+    const attribute = capabilityData[name];
+    if (attribute && attribute.value !== undefined) {
+      return attribute;
+    }
+  }
+  return null;
+}
+
+function attributeTimestamp(attribute) {
+  return attribute.timestamp || attribute.lastUpdated || attribute.updatedAt || null;
+}
+
+/**
+ * Fill normalized fields, primaryCapability and primaryState from a /status response
+ * Fields that are not reported are left undefined, so consumers can tell "absent" from null.
+ * @param {Object} normalized - Normalized device to fill (needs a capabilities object)
+ * @param {Object} status - SmartThings device status ({ components: { main: {...} } })
+ * @param {Object} handlers - Registry handlers from createRegistry
+ * @returns {Object} The same normalized device
+ */
+function applyCapabilities(normalized, status, handlers) {
+  const components = status && status.components ? status.components : {};
+  const main = components.main || {};
+  const others = Object.keys(components).filter(name => name !== "main").map(name => components[name]);
+
+  for (const [capabilityId, handler] of Object.entries(handlers)) {
+    for (const [field, spec] of Object.entries(handler.fields || {})) {
+      const into = spec.into || "device";
+      const filled = into === "capabilities" ? normalized.capabilities[field] : normalized[field];
+      if (filled !== undefined) {
+        continue;
+      }
+
+      const searched = spec.anyComponent ? [main].concat(others) : [main];
+      for (const component of searched) {
+        const attribute = findAttribute(component[capabilityId], spec.attribute);
+        if (!attribute) {
+          continue;
+        }
+
+        const factor = spec.units && attribute.unit ? spec.units[attribute.unit] : undefined;
+        const value = factor !== undefined && typeof attribute.value === "number" ? attribute.value * factor : attribute.value;
+        const targets = into === "both" ? [normalized, normalized.capabilities]
+          : into === "capabilities" ? [normalized.capabilities] : [normalized];
+        for (const target of targets) {
+          target[field] = value;
+          if (spec.timestamp) {
+            target[spec.timestamp] = attributeTimestamp(attribute);
+          }
+          if (spec.unitField) {
+            target[spec.unitField] = attribute.unit || null;
+          }
+        }
+        break;
+      }
+    }
+  }
+
+  // Primary capability: lowest priority among the capabilities the main component reports
+  let primaryId = null;
+  for (const [capabilityId, handler] of Object.entries(handlers)) {
+    if (handler.primary && main[capabilityId] &&
+        (primaryId === null || handler.priority < handlers[primaryId].priority)) {
+      primaryId = capabilityId;
+    }
+  }
+
+  if (primaryId) {
+    const handler = handlers[primaryId];
+    normalized.primaryCapability = handler.primary;
+
+    if (handler.state && typeof handler.state === "object" && !Array.isArray(handler.state)) {
+      const value = normalized[handler.state.field];
+      normalized.primaryState = value === undefined ? null : value;
+    } else {
+      const attribute = findAttribute(main[primaryId], handler.state) || findAttribute(main[primaryId]);
+      normalized.primaryState = attribute ? attribute.value : null;
+    }
+
+    if (handler.display) {
+      normalized.display = handler.display;
+    }
+  }
+
+  return normalized;
+}
+
+module.exports = {
+  DEFAULT_HANDLERS,
+  createRegistry,
+  validateHandler,
+  findAttribute,
+  applyCapabilities
+};
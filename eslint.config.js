@@ -18,7 +18,7 @@ module.exports = [
     }
   },
   {
-    files: ["*.js"],
+    files: ["*.js", "test/**/*.js"],
     ignores: ["MMM-STStatus.js"],
     languageOptions: {
       ecmaVersion: 2022,
@@ -7,42 +7,121 @@ const NodeHelper = require("node_helper");
 // fetch is available natively in Node.js 18+ (no import needed)
 const fs = require("fs");
 const path = require("path");
+const http = require("http");
 const crypto = require("crypto");
 const {
   loadOAuthData,
   saveOAuthData,
+  normalizeAccountName,
   tokensNeedRefresh,
   getDataFilePath,
   oauthDataExists
 } = require("./oauth-utils");
+const { DEFAULT_HANDLERS, createRegistry, applyCapabilities } = require("./capability-registry");
+const {
+  parseSignatureHeader,
+  isValidKeyId,
+  verifySignature,
+  MAX_CLOCK_SKEW,
+  publicKeyFromPem
+} = require("./webhook-utils");
 
 module.exports = NodeHelper.create({
-  // API settings
+  // API settings (overridable via STSTATUS_API_BASE / STSTATUS_TOKEN_URL)
   API_BASE: "https://api.smartthings.com/v1",
   TOKEN_URL: "https://api.smartthings.com/oauth/token",
+  KEY_BASE: "https://key.smartthings.com",  // webhook signing keys (overridable via STSTATUS_KEY_BASE)
+  WEBHOOK_BODY_LIMIT: 1024 * 1024,          // larger lifecycle requests are answered with 413
+  DATA_DIR: __dirname,       // location of oauth-data.enc, oauth-key.bin and cache files
   RATE_LIMIT: 250,           // requests per minute
   RATE_WARNING: 200,         // warn at this threshold
+  MAX_PAGES: 20,             // safety cap when following _links.next
 
   // State
   instances: {},
-  requestCount: 0,
-  requestResetTime: null,
-  tokenRefreshTimer: null,
-  oauthRefreshPromise: null,
-  backoffDelay: 0,
+  accounts: {},              // account name -> token state, refresh timer, rate limit counters
+  webhookServer: null,
+  webhookStarting: null,     // pending listen while the first realtime instance starts the server
+  webhookKeys: {},           // keyId -> public key, fetched on first use
+  webhookSignatures: {},     // signature -> ms time its Date header stops passing the skew check
   FAILURE_THRESHOLD: 10,
-  ALERT_PRIORITY: ["auth", "scope", "network", "rateLimit", "outage", "schema"],
+  ALERT_PRIORITY: ["safety", "security", "auth", "scope", "network", "rateLimit", "outage", "schema"],
+
+  // Sensor readings that raise an alert at once, most urgent first (type defaults to safety)
+  SAFETY_STATES: {
+    smoke: { state: "detected", messageKey: "ALERT_SMOKE" },
+    carbonMonoxide: { state: "detected", messageKey: "ALERT_CO" },
+    water: { state: "wet", messageKey: "ALERT_WATER" },
+    tamper: { state: "detected", messageKey: "ALERT_TAMPER", type: "security" }
+  },
+  SAFETY_ALERT_TYPES: ["safety", "security"],
+
+  // Commands accepted by SEND_COMMAND: capability -> command -> argument types
+  DEVICE_COMMANDS: {
+    switch: { on: [], off: [] },
+    lock: { lock: [], unlock: [] },
+    switchLevel: { setLevel: ["percent"] },
+    windowShade: { open: [], close: [], pause: [] },
+    windowShadeLevel: { setShadeLevel: ["percent"] },
+    garageDoorControl: { open: [], close: [] },
+    doorControl: { open: [], close: [] },
+    thermostatHeatingSetpoint: { setHeatingSetpoint: ["temperature"] },
+    thermostatCoolingSetpoint: { setCoolingSetpoint: ["temperature"] }
+  },
 
-  // OAuth tokens
-  oauthData: null,   // Contains clientId, clientSecret, access_token, refresh_token, etc.
   CACHE_TTL: 24 * 60 * 60 * 1000, // 24 hours
 
+  // State change history
+  HISTORY_ATTRIBUTES: ["primaryState", "health", "level", "heatingSetpoint", "coolingSetpoint"],
+  HISTORY_RETENTION: 7 * 24 * 60 * 60 * 1000, // 7 days
+  HISTORY_LIMIT: 500,        // entries kept per instance
+
+  // Alert rule conditions: config key -> test against the device value
+  RULE_CONDITIONS: {
+    state: (value, expected) => (Array.isArray(expected) ? expected : [expected]).includes(value),
+    above: (value, threshold) => typeof value === "number" && value > threshold,
+    below: (value, threshold) => typeof value === "number" && value < threshold,
+    batteryBelow: (value, threshold) => typeof value === "number" && value < threshold
+  },
+
   /**
    * Called when the helper starts
    */
   start: function () {
     console.log("[MMM-STStatus] Node helper started");
-    this.resetRateLimit();
+
+    // Allow tests and staging mirrors to target a SmartThings stand-in
+    this.API_BASE = process.env.STSTATUS_API_BASE || this.API_BASE;
+    this.TOKEN_URL = process.env.STSTATUS_TOKEN_URL || this.TOKEN_URL;
+    this.KEY_BASE = process.env.STSTATUS_KEY_BASE || this.KEY_BASE;
+  },
+
+  /**
+   * Called by MagicMirror on shutdown - clear all timers
+   */
+  stop: function () {
+    for (const instance of Object.values(this.instances)) {
+      if (instance.pollTimer) {
+        clearInterval(instance.pollTimer);
+        instance.pollTimer = null;
+      }
+      if (instance.ruleTimer) {
+        clearTimeout(instance.ruleTimer);
+        instance.ruleTimer = null;
+      }
+    }
+
+    for (const account of Object.values(this.accounts)) {
+      if (account.tokenRefreshTimer) {
+        clearInterval(account.tokenRefreshTimer);
+        account.tokenRefreshTimer = null;
+      }
+    }
+
+    if (this.webhookServer) {
+      this.webhookServer.close();
+      this.webhookServer = null;
+    }
   },
 
   getInstance: function (identifier) {
@@ -55,19 +134,60 @@ module.exports = NodeHelper.create({
         config: null,
         lastConfigHash: null,
         pollTimer: null,
-        locationId: null,
+        locations: [],         // resolved { locationId, name } entries
         deviceList: [],
+        deviceStatus: {},      // raw /status responses, patched by realtime events
+        deviceHealth: {},      // deviceId -> { state, updatedAt } from /devices/{id}/health
+        lastHealthCheck: 0,
+        realtimeActive: false,
+        cycleRequests: 0,      // API requests made during the current poll cycle
         authFailed: false,
         consecutiveFailures: 0,
         currentAlert: null,
-        cacheFile: path.join(__dirname, `.cache-${safeId}.json`),
-        cache: null
+        cacheFile: path.join(this.DATA_DIR, `.cache-${safeId}.json`),
+        cache: null,
+        cacheReconciling: false, // next poll diffs against a cache loaded from disk
+        historyFile: path.join(this.DATA_DIR, `.history-${safeId}.json`),
+        history: null,         // state transitions, oldest first; loaded on first initialize
+        alertRules: [],        // validated config.alertRules
+        ruleMatches: {},       // "ruleIndex:deviceId" -> ms timestamp the condition first matched
+        deviceAlerts: [],      // rule alerts currently raised
+        ruleTimer: null,       // re-checks rules when a pending duration runs out
+        capabilityHandlers: DEFAULT_HANDLERS  // built-ins plus config.capabilityHandlers
       };
     }
 
     return this.instances[instanceId];
   },
 
+  /**
+   * Get (or create) the state for a SmartThings account profile
+   * Each account has its own OAuth data file, refresh timer and rate limit counters.
+   * @param {string} name - Account name from config.account (default: "default")
+   * @returns {Object} Account state
+   */
+  getAccount: function (name) {
+    const accountName = normalizeAccountName(name);
+
+    if (!this.accounts[accountName]) {
+      this.accounts[accountName] = {
+        name: accountName,
+        oauthData: null,
+        oauthRefreshPromise: null,
+        tokenRefreshTimer: null,
+        requestCount: 0,
+        requestResetTime: null,
+        backoffDelay: 0
+      };
+    }
+
+    return this.accounts[accountName];
+  },
+
+  accountFor: function (instance) {
+    return this.getAccount(instance && instance.config ? instance.config.account : null);
+  },
+
   sendToInstance: function (notification, instance, payload) {
     const message = Object.assign({}, payload || {}, {
       identifier: instance.id
@@ -81,9 +201,27 @@ module.exports = NodeHelper.create({
   socketNotificationReceived: function (notification, payload) {
     if (notification === "SET_CONFIG") {
       const instance = this.getInstance(payload.identifier);
+      try {
+        normalizeAccountName(payload.account);
+      } catch (err) {
+        // Leave the instance unconfigured so account lookups skip it
+        if (instance.pollTimer) {
+          clearInterval(instance.pollTimer);
+          instance.pollTimer = null;
+        }
+        instance.config = null;
+        console.error("[MMM-STStatus] ERROR: " + err.message);
+        this.sendToInstance("ERROR", instance, { message: err.message });
+        return;
+      }
       instance.config = payload;
       this.log("Config received", true, instance);
       this.initialize(instance);
+    } else if (notification === "SEND_COMMAND") {
+      const instance = this.getInstance(payload.identifier);
+      if (instance.config) {
+        this.sendCommand(instance, payload);
+      }
     }
   },
 
@@ -91,8 +229,9 @@ module.exports = NodeHelper.create({
    * Initialize the module
    */
   initialize: async function (instance) {
-    // Load cache
+    // Load cache and state change history
     this.loadCache(instance);
+    this.loadHistory(instance);
 
     // Check if config changed and clear any resolved device state from a
     // previous frontend session so a stale client cannot keep old device IDs
@@ -101,7 +240,7 @@ module.exports = NodeHelper.create({
     if (instance.lastConfigHash && instance.lastConfigHash !== configHash) {
       this.log("Config changed, resetting resolved device list", true, instance);
       instance.deviceList = [];
-      instance.locationId = null;
+      instance.locations = [];
     }
     instance.lastConfigHash = configHash;
 
@@ -110,6 +249,12 @@ module.exports = NodeHelper.create({
       instance.cache = null;
     }
 
+    instance.alertRules = this.parseAlertRules(instance);
+
+    const registry = createRegistry(instance.config.capabilityHandlers);
+    registry.problems.forEach(problem => console.warn("[MMM-STStatus] WARNING: Ignoring " + problem));
+    instance.capabilityHandlers = registry.handlers;
+
     // If test mode, use mock data
     if (instance.config.testMode) {
       this.log("Test mode enabled, using mock data", false, instance);
@@ -131,10 +276,19 @@ module.exports = NodeHelper.create({
         timestamp: instance.cache.timestamp
       });
     }
+    if (instance.history.length > 0) {
+      this.sendToInstance("DEVICE_HISTORY", instance, { entries: instance.history });
+    }
 
     // Start polling
     this.sendToInstance("LOADING", instance, {});
     await this.fetchDevices(instance);
+
+    // Realtime mode: subscribe to device events, polling becomes slow reconciliation
+    if (instance.config.realtime) {
+      instance.realtimeActive = await this.startRealtime(instance);
+    }
+
     this.startPolling(instance);
   },
 
@@ -144,11 +298,27 @@ module.exports = NodeHelper.create({
    * @returns {boolean} True if authentication is ready
    */
   initializeAuth: async function (instance) {
+    let account;
+    try {
+      account = this.accountFor(instance);
+    } catch (err) {
+      console.error("[MMM-STStatus] ERROR: " + err.message);
+      this.sendToInstance("ERROR", instance, { message: err.message });
+      return false;
+    }
+
     // Try loading OAuth data from encrypted file (new approach)
-    if (oauthDataExists(__dirname)) {
+    if (oauthDataExists(this.DATA_DIR, account.name)) {
       return await this.initializeOAuth(instance);
     }
 
+    if (account.name !== "default") {
+      const message = "No OAuth data for account \"" + account.name + "\". Please run: node setup.js --account " + account.name;
+      console.error("[MMM-STStatus] ERROR: " + message);
+      this.sendToInstance("ERROR", instance, { message: message });
+      return false;
+    }
+
     // Legacy: PAT in config (deprecated but still supported)
     if (instance.config.token) {
       this.log("Using Personal Access Token from config (legacy mode)", false, instance);
@@ -169,12 +339,13 @@ module.exports = NodeHelper.create({
    * @returns {boolean} True if OAuth is ready
    */
   initializeOAuth: async function (instance) {
-    this.log("Initializing OAuth authentication", true, instance);
+    const account = this.accountFor(instance);
+    this.log("Initializing OAuth authentication (account: " + account.name + ")", true, instance);
 
     // Load OAuth data from encrypted file
-    this.oauthData = this.loadOAuthDataFromDisk(instance);
+    account.oauthData = this.loadOAuthDataFromDisk(instance);
 
-    if (!this.oauthData) {
+    if (!account.oauthData) {
       console.error("[MMM-STStatus] ERROR: Failed to load OAuth data. Please run setup.js");
       this.sendToInstance("ERROR", instance, {
         message: "OAuth data corrupted or key missing. Please re-run: node setup.js"
@@ -182,7 +353,7 @@ module.exports = NodeHelper.create({
       return false;
     }
 
-    if (!this.oauthData.clientId || !this.oauthData.clientSecret) {
+    if (!account.oauthData.clientId || !account.oauthData.clientSecret) {
       console.error("[MMM-STStatus] ERROR: OAuth data missing credentials");
       this.sendToInstance("ERROR", instance, {
         message: "OAuth credentials missing. Please re-run: node setup.js"
@@ -193,7 +364,7 @@ module.exports = NodeHelper.create({
     this.log("OAuth data loaded successfully", true, instance);
 
     // Check if tokens need refresh
-    if (tokensNeedRefresh(this.oauthData)) {
+    if (tokensNeedRefresh(account.oauthData)) {
       this.log("Tokens expired or expiring soon, refreshing...", false, instance);
       const refreshed = await this.refreshTokens(instance);
       if (!refreshed) {
@@ -201,61 +372,62 @@ module.exports = NodeHelper.create({
       }
     }
 
-    // Schedule automatic token refresh (every 20 hours to be safe before 24h expiry)
-    this.scheduleTokenRefresh();
+    // Schedule automatic token refresh (every 12 hours to be safe before 24h expiry)
+    this.scheduleTokenRefresh(account);
 
     return true;
   },
 
   /**
-   * Schedule automatic token refresh
+   * Schedule automatic token refresh for one account
    */
-  scheduleTokenRefresh: function () {
-    if (this.tokenRefreshTimer) {
-      clearInterval(this.tokenRefreshTimer);
+  scheduleTokenRefresh: function (account) {
+    if (account.tokenRefreshTimer) {
+      clearInterval(account.tokenRefreshTimer);
     }
 
     // Refresh every 12 hours (43200000 ms)
     // Tokens expire in 24 hours, so this gives us a 12-hour buffer
     const refreshInterval = 12 * 60 * 60 * 1000;
 
-    this.log("Scheduling token refresh every 12 hours", true);
+    this.log("Scheduling token refresh every 12 hours (account: " + account.name + ")", true);
 
-    this.tokenRefreshTimer = setInterval(async () => {
-      this.log("Scheduled token refresh triggered");
-      await this.refreshTokens();
+    account.tokenRefreshTimer = setInterval(async () => {
+      this.log("Scheduled token refresh triggered (account: " + account.name + ")");
+      await this.refreshTokens(null, { account: account });
     }, refreshInterval);
 
     // Also refresh if tokens will expire within the next hour
-    if (this.oauthData && this.oauthData.expiresAt) {
-      const expiresIn = new Date(this.oauthData.expiresAt).getTime() - Date.now();
+    if (account.oauthData && account.oauthData.expiresAt) {
+      const expiresIn = new Date(account.oauthData.expiresAt).getTime() - Date.now();
       if (expiresIn < 60 * 60 * 1000 && expiresIn > 0) {
         // Refresh in 1 minute if expiring within an hour
         this.log("Tokens expiring soon, scheduling immediate refresh", true);
         setTimeout(async () => {
-          await this.refreshTokens();
+          await this.refreshTokens(null, { account: account });
         }, 60000);
       }
     }
   },
 
   loadOAuthDataFromDisk: function (instance) {
-    const diskData = loadOAuthData(__dirname);
+    const account = this.accountFor(instance);
+    const diskData = loadOAuthData(this.DATA_DIR, account.name);
 
     if (!diskData) {
       return null;
     }
 
-    if (!this.oauthData) {
+    if (!account.oauthData) {
       return diskData;
     }
 
-    if (this.isOAuthDataNewer(diskData, this.oauthData)) {
+    if (this.isOAuthDataNewer(diskData, account.oauthData)) {
       this.log("Detected newer OAuth token state on disk", true, instance);
       return diskData;
     }
 
-    return this.oauthData;
+    return account.oauthData;
   },
 
   getOAuthTimestamp: function (oauthData) {
@@ -296,23 +468,28 @@ module.exports = NodeHelper.create({
     );
   },
 
+  /**
+   * Pick up token state another process saved for this account
+   * @param {Object} options - { force: true } to reload even if disk isn't newer; { account } when no instance
+   */
   syncOAuthDataFromDisk: function (instance, options = {}) {
-    if (!oauthDataExists(__dirname)) {
+    const account = options.account || this.accountFor(instance);
+    if (!oauthDataExists(this.DATA_DIR, account.name)) {
       return false;
     }
 
-    const diskData = loadOAuthData(__dirname);
+    const diskData = loadOAuthData(this.DATA_DIR, account.name);
     if (!diskData) {
       return false;
     }
 
     const shouldReplace =
       options.force === true ||
-      !this.oauthData ||
-      this.isOAuthDataNewer(diskData, this.oauthData);
+      !account.oauthData ||
+      this.isOAuthDataNewer(diskData, account.oauthData);
 
     if (shouldReplace) {
-      this.oauthData = diskData;
+      account.oauthData = diskData;
       this.log(
         options.force ? "Reloaded OAuth token state from disk" : "Synchronized OAuth token state from disk",
         true,
@@ -331,7 +508,8 @@ module.exports = NodeHelper.create({
 
     this.syncOAuthDataFromDisk(instance, { force: true });
 
-    if (!this.oauthData || tokensNeedRefresh(this.oauthData, 600)) {
+    const account = this.accountFor(instance);
+    if (!account.oauthData || tokensNeedRefresh(account.oauthData, 600)) {
       return false;
     }
 
@@ -347,26 +525,45 @@ module.exports = NodeHelper.create({
     return !instance.authFailed;
   },
 
-  recoverAuthFailedInstances: async function (reason = "current OAuth state") {
+  recoverAuthFailedInstances: async function (account, reason = "current OAuth state") {
     for (const instance of Object.values(this.instances)) {
-      await this.tryRecoverAuthFailedInstance(instance, reason);
+      if (!instance.config) {
+        continue;
+      }
+
+      let instanceAccount;
+      try {
+        instanceAccount = this.accountFor(instance);
+      } catch (err) {
+        // Invalid account names are reported by SET_CONFIG; never fail a refresh over them
+        continue;
+      }
+
+      if (instanceAccount === account) {
+        await this.tryRecoverAuthFailedInstance(instance, reason);
+      }
     }
   },
 
   /**
    * Refresh OAuth tokens
+   * Concurrent refreshes for the same account share one request (account.oauthRefreshPromise).
+   * @param {Object} options - { force: true } to refresh even if expiresAt looks healthy;
+   *   { account } for scheduled refreshes that have no instance
    * @returns {boolean} True if refresh was successful
    */
-  refreshTokens: async function (instance) {
-    if (this.oauthRefreshPromise) {
+  refreshTokens: async function (instance, options = {}) {
+    const account = options.account || this.accountFor(instance);
+
+    if (account.oauthRefreshPromise) {
       this.log("Waiting for in-progress OAuth refresh", true, instance);
-      return await this.oauthRefreshPromise;
+      return await account.oauthRefreshPromise;
     }
 
-    this.oauthRefreshPromise = (async () => {
-      this.syncOAuthDataFromDisk(instance);
+    account.oauthRefreshPromise = (async () => {
+      const diskUpdated = this.syncOAuthDataFromDisk(instance, { account: account });
 
-      if (!this.oauthData || !this.oauthData.refresh_token) {
+      if (!account.oauthData || !account.oauthData.refresh_token) {
         console.error("[MMM-STStatus] ERROR: No refresh token available");
         if (instance) {
           this.sendToInstance("ERROR", instance, {
@@ -376,27 +573,30 @@ module.exports = NodeHelper.create({
         return false;
       }
 
-      if (!tokensNeedRefresh(this.oauthData, 600)) {
+      // A forced refresh (after a 401) only skips the token call when disk held
+      // a newer token to retry with - the in-memory one was just rejected.
+      if (!tokensNeedRefresh(account.oauthData, 600) && (!options.force || diskUpdated)) {
         this.log("OAuth tokens already refreshed by another process", true, instance);
         if (instance) {
           instance.authFailed = false;
         }
-        await this.recoverAuthFailedInstances("fresh OAuth data on disk");
+        await this.recoverAuthFailedInstances(account, "fresh OAuth data on disk");
         return true;
       }
 
-      this.log("Refreshing OAuth tokens...");
+      this.log("Refreshing OAuth tokens (account: " + account.name + ")...");
+      const attemptedRefreshToken = account.oauthData.refresh_token;
 
       try {
         const params = new URLSearchParams({
           grant_type: "refresh_token",
-          refresh_token: this.oauthData.refresh_token,
-          client_id: this.oauthData.clientId
+          refresh_token: account.oauthData.refresh_token,
+          client_id: account.oauthData.clientId
         });
 
         // Use Basic Auth header (required by SmartThings)
         const basicAuth = Buffer.from(
-          this.oauthData.clientId + ":" + this.oauthData.clientSecret
+          account.oauthData.clientId + ":" + account.oauthData.clientSecret
         ).toString("base64");
 
         const response = await fetch(this.TOKEN_URL, {
@@ -416,25 +616,26 @@ module.exports = NodeHelper.create({
         const newTokens = await response.json();
 
         // Update OAuth data with new tokens
-        this.oauthData = {
-          ...this.oauthData,
+        account.oauthData = {
+          ...account.oauthData,
           access_token: newTokens.access_token,
-          refresh_token: newTokens.refresh_token || this.oauthData.refresh_token,
+          refresh_token: newTokens.refresh_token || account.oauthData.refresh_token,
           token_type: newTokens.token_type || "Bearer",
-          scope: newTokens.scope || this.oauthData.scope,
+          scope: newTokens.scope || account.oauthData.scope,
           expiresAt: new Date(Date.now() + (newTokens.expires_in || 86400) * 1000).toISOString(),
-          obtainedAt: new Date().toISOString()
+          obtainedAt: new Date().toISOString(),
+          installedAppId: newTokens.installed_app_id || account.oauthData.installedAppId
         };
 
         // Save updated OAuth data
-        saveOAuthData(__dirname, this.oauthData);
+        saveOAuthData(this.DATA_DIR, account.oauthData, account.name);
 
         this.log("OAuth tokens refreshed successfully");
         if (instance) {
           instance.authFailed = false;
         }
 
-        await this.recoverAuthFailedInstances("successful OAuth refresh");
+        await this.recoverAuthFailedInstances(account, "successful OAuth refresh");
 
         return true;
 
@@ -444,14 +645,15 @@ module.exports = NodeHelper.create({
         // Another MagicMirror process may have already rotated the refresh token.
         // Re-read disk state before treating invalid_grant as a hard failure.
         if ((err.message.includes("invalid_grant") || err.message.includes("401")) &&
-            this.syncOAuthDataFromDisk(instance, { force: true }) &&
-            this.oauthData &&
-            !tokensNeedRefresh(this.oauthData, 600)) {
+            this.syncOAuthDataFromDisk(instance, { force: true, account: account }) &&
+            account.oauthData &&
+            account.oauthData.refresh_token !== attemptedRefreshToken &&
+            !tokensNeedRefresh(account.oauthData, 600)) {
           this.log("Recovered from stale in-memory refresh token using disk state", true, instance);
           if (instance) {
             instance.authFailed = false;
           }
-          await this.recoverAuthFailedInstances("reloaded OAuth token state from disk");
+          await this.recoverAuthFailedInstances(account, "reloaded OAuth token state from disk");
           return true;
         }
 
@@ -473,9 +675,9 @@ module.exports = NodeHelper.create({
     })();
 
     try {
-      return await this.oauthRefreshPromise;
+      return await account.oauthRefreshPromise;
     } finally {
-      this.oauthRefreshPromise = null;
+      account.oauthRefreshPromise = null;
     }
   },
 
@@ -485,8 +687,9 @@ module.exports = NodeHelper.create({
    */
   getAccessToken: function (instance) {
     // OAuth mode (from encrypted file)
-    if (this.oauthData && this.oauthData.access_token) {
-      return this.oauthData.access_token;
+    const account = this.accountFor(instance);
+    if (account.oauthData && account.oauthData.access_token) {
+      return account.oauthData.access_token;
     }
 
     // Legacy PAT mode (from config)
@@ -501,7 +704,10 @@ module.exports = NodeHelper.create({
       clearInterval(instance.pollTimer);
     }
 
-    const interval = Math.max(instance.config.pollInterval || 60000, 30000); // Min 30 seconds
+    let interval = Math.max(instance.config.pollInterval || 60000, 30000); // Min 30 seconds
+    if (instance.realtimeActive) {
+      interval = Math.max(instance.config.reconcileInterval || 900000, interval);
+    }
     this.log("Starting poll timer: " + (interval / 1000) + "s", true, instance);
 
     instance.pollTimer = setInterval(() => {
@@ -522,7 +728,8 @@ module.exports = NodeHelper.create({
     }
 
     // Check if tokens need refresh before making requests
-    if (this.oauthData && tokensNeedRefresh(this.oauthData, 600)) {
+    const account = this.accountFor(instance);
+    if (account.oauthData && tokensNeedRefresh(account.oauthData, 600)) {
       this.log("Tokens need refresh before API calls", true, instance);
       const refreshed = await this.refreshTokens(instance);
       if (!refreshed) {
@@ -543,35 +750,47 @@ module.exports = NodeHelper.create({
         return;
       }
 
-      // Fetch status for each device
-      const devices = [];
-      for (const device of instance.deviceList) {
-        // Check rate limit before each request
-        if (!this.checkRateLimit()) {
-          this.log("Rate limit approached, delaying requests");
-          await this.delay(1000);
-        }
+      instance.cycleRequests = 0;
 
-        try {
-          const status = await this.fetchDeviceStatus(device.id, instance);
-          if (status) {
-            const normalized = this.normalizeDevice(device, status, instance);
-            if (normalized) {
-              devices.push(normalized);
-            }
-          }
-        } catch (err) {
-          // Individual device errors don't count as full failures
-          this.log("Error fetching device " + device.id + ": " + err.message, false, instance);
+      // Health changes rarely, so it is checked on its own slower cadence
+      if (this.healthCheckDue(instance)) {
+        await this.fetchDeviceHealth(instance);
+      }
+      const healthRequests = instance.cycleRequests;
+
+      // One listing call per location returns most statuses; the rest are fetched individually
+      const bulkStatuses = instance.config.bulkStatus !== false ? await this.fetchBulkStatuses(instance) : null;
+
+      // Normalize bulk results, then fetch the remaining devices individually
+      const normalizedById = {};
+      const remaining = [];
+      for (const device of instance.deviceList) {
+        const status = bulkStatuses ? bulkStatuses[device.id] : null;
+        if (status) {
+          this.storeDeviceStatus(instance, device, status, normalizedById);
+        } else {
+          remaining.push(device);
         }
       }
 
-      // SUCCESS - reset failure counter and clear alerts
+      await this.fetchStatusesPooled(instance, remaining, normalizedById);
+
+      const devices = instance.deviceList.map(d => normalizedById[d.id]).filter(Boolean);
+
+      this.log("Poll cycle: " + devices.length + " devices, " + instance.cycleRequests + " API requests" +
+        (healthRequests > 0 ? " (" + healthRequests + " health)" : "") +
+        (bulkStatuses ? " (bulk status)" : ""), true, instance);
+
+      // SUCCESS - reset failure counter and clear alerts (except a safety alert that still applies)
       instance.consecutiveFailures = 0;
-      this.clearAlert(instance);
+      if (!this.updateSafetyAlert(instance, devices)) {
+        this.clearAlert(instance);
+      }
 
-      // Update cache
+      // Report transitions against the previous poll, then update cache
+      this.recordChanges(instance, devices);
       this.updateCache(instance, { lastStatus: devices });
+      this.evaluateAlertRules(instance, devices);
 
       // Send to frontend
       this.sendToInstance("DEVICE_DATA", instance, {
@@ -600,9 +819,15 @@ module.exports = NodeHelper.create({
       instance.deviceList = instance.config.devices.map(d => ({
         id: d.id,
         name: d.name,
-        room: d.room || null
+        room: d.room || null,
+        locationId: d.locationId || null,
+        location: d.location || null
       }));
 
+      if (instance.deviceList.some(d => !d.locationId || !d.location)) {
+        await this.fillDeviceLocations(instance);
+      }
+
       // Cache and return - don't also fetch from rooms
       this.updateCache(instance, { devices: instance.deviceList });
       this.log("Resolved " + instance.deviceList.length + " total devices", true, instance);
@@ -613,28 +838,25 @@ module.exports = NodeHelper.create({
     if (instance.config.rooms && instance.config.rooms.length > 0) {
       this.log("Resolving devices from " + instance.config.rooms.length + " rooms", true, instance);
 
-      // Get location ID
-      if (!instance.locationId) {
-        const locations = await this.apiRequest("/locations", instance);
-        if (locations && locations.items && locations.items.length > 0) {
-          instance.locationId = locations.items[0].locationId;
-          this.log("Using location: " + instance.locationId, true, instance);
-        } else {
-          throw new Error("No SmartThings locations found");
-        }
+      if (instance.locations.length === 0) {
+        instance.locations = await this.resolveLocations(instance);
       }
 
-      // Get rooms
-      const roomsResponse = await this.apiRequest(`/locations/${instance.locationId}/rooms`, instance);
-      if (roomsResponse && roomsResponse.items) {
+      for (const location of instance.locations) {
+        // Get rooms
+        const roomsResponse = await this.apiRequestAllPages(`/locations/${location.locationId}/rooms`, instance);
+        if (!roomsResponse || !roomsResponse.items) {
+          continue;
+        }
+
         for (const room of roomsResponse.items) {
           // Check if this room is in our config
           if (instance.config.rooms.includes(room.name)) {
-            this.log("Fetching devices from room: " + room.name, true, instance);
+            this.log("Fetching devices from room: " + location.name + " / " + room.name, true, instance);
 
             // Get devices in this room
-            const devicesResponse = await this.apiRequest(
-              `/locations/${instance.locationId}/rooms/${room.roomId}/devices`,
+            const devicesResponse = await this.apiRequestAllPages(
+              `/locations/${location.locationId}/rooms/${room.roomId}/devices`,
               instance
             );
 
@@ -645,7 +867,10 @@ module.exports = NodeHelper.create({
                   instance.deviceList.push({
                     id: device.deviceId,
                     name: device.label || device.name,
-                    room: room.name
+                    room: room.name,
+                    locationId: location.locationId,
+                    location: location.name,
+                    category: this.deviceCategory(device)
                   });
                 }
               }
@@ -662,189 +887,1066 @@ module.exports = NodeHelper.create({
   },
 
   /**
-   * Fetch status for a single device
+   * Fill in locationId and location for explicit devices entries that leave them out,
+   * from the account's /devices listing and the location names. Best effort: devices
+   * that can't be looked up keep null locations.
    */
-  fetchDeviceStatus: async function (deviceId, instance) {
-    return await this.apiRequest(`/devices/${deviceId}/status`, instance);
+  fillDeviceLocations: async function (instance) {
+    try {
+      const listing = await this.apiRequestAllPages("/devices", instance);
+      if (!listing) {
+        return;
+      }
+
+      for (const device of instance.deviceList) {
+        const listed = listing.items.find(item => item.deviceId === device.id);
+        if (!device.locationId && listed) {
+          device.locationId = listed.locationId || null;
+        }
+      }
+
+      let locations = instance.locations;
+      const missing = instance.deviceList.some(d => d.locationId && !d.location &&
+        !locations.some(loc => loc.locationId === d.locationId));
+      if (missing) {
+        const response = await this.apiRequestAllPages("/locations", instance);
+        locations = locations.concat(response ? response.items : []);
+      }
+
+      for (const device of instance.deviceList) {
+        const location = locations.find(loc => loc.locationId === device.locationId);
+        if (!device.location && location) {
+          device.location = location.name;
+        }
+      }
+    } catch (err) {
+      this.log("Could not look up device locations: " + err.message, false, instance);
+    }
   },
 
   /**
-   * Make an API request with rate limiting and error handling
+   * SmartThings category of a listed device's main component (e.g. "Doorbell")
+   * @returns {string|null} Category name
    */
-  apiRequest: async function (endpoint, instance) {
-    this.syncOAuthDataFromDisk(instance);
-
-    // Apply backoff if needed
-    if (this.backoffDelay > 0) {
-      this.log("Applying backoff delay: " + this.backoffDelay + "ms", true, instance);
-      await this.delay(this.backoffDelay);
-    }
+  deviceCategory: function (device) {
+    const components = Array.isArray(device.components) ? device.components : [];
+    const main = components.find(c => c.id === "main") || components[0];
+    const categories = main && Array.isArray(main.categories) ? main.categories : [];
+    return categories.length > 0 && categories[0].name ? categories[0].name : null;
+  },
 
-    // Get access token
-    const accessToken = this.getAccessToken(instance);
-    if (!accessToken) {
-      throw new Error("No access token available");
+  /**
+   * Resolve the `location` config (name or UUID, or an array of them) to SmartThings locations
+   * Without `location`, the first location on the account is used.
+   * @returns {Array} [{ locationId, name }]
+   */
+  resolveLocations: async function (instance) {
+    const response = await this.apiRequestAllPages("/locations", instance);
+    const available = response && response.items ? response.items : [];
+    if (available.length === 0) {
+      throw new Error("No SmartThings locations found");
     }
 
-    // Track request count
-    this.requestCount++;
-    if (this.requestCount >= this.RATE_WARNING) {
-      console.warn("[MMM-STStatus] WARNING: Approaching rate limit (" + this.requestCount + "/" + this.RATE_LIMIT + ")");
+    const wanted = [].concat(instance.config.location || []).filter(Boolean);
+    if (wanted.length === 0) {
+      if (available.length > 1) {
+        this.log("Multiple locations found, using " + available[0].name + " (set `location` to choose)", false, instance);
+      }
+      return [{ locationId: available[0].locationId, name: available[0].name }];
     }
 
-    const url = this.API_BASE + endpoint;
-    this.log("API Request: " + endpoint, true, instance);
-
-    const response = await fetch(url, {
-      method: "GET",
-      headers: {
-        "Authorization": "Bearer " + accessToken,
-        "Content-Type": "application/json"
+    return wanted.map((value) => {
+      const key = String(value).trim().toLowerCase();
+      const match = available.find(loc =>
+        loc.locationId.toLowerCase() === key || (loc.name || "").trim().toLowerCase() === key
+      );
+      if (!match) {
+        throw new Error("SmartThings location not found: " + value +
+          " (available: " + available.map(loc => loc.name).join(", ") + ")");
       }
+      this.log("Using location: " + match.name + " (" + match.locationId + ")", true, instance);
+      return { locationId: match.locationId, name: match.name };
     });
+  },
 
-    // Handle response status
-    if (!response.ok) {
-      const recovery = await this.handleHttpError(response, instance);
-      if (recovery === "retry") {
-        this.log("Retrying API request after OAuth refresh: " + endpoint, true, instance);
-        return await this.apiRequestWithRetry(endpoint, instance);
+  /**
+   * Keep the raw status for realtime patching and record the normalized device
+   */
+  storeDeviceStatus: function (instance, device, status, normalizedById) {
+    try {
+      instance.deviceStatus[device.id] = status;
+      const normalized = this.normalizeDevice(device, status, instance);
+      if (normalized) {
+        normalizedById[device.id] = normalized;
       }
-      return null;
+    } catch (err) {
+      this.log("Error normalizing device " + device.id + ": " + err.message, false, instance);
     }
-
-    // Reset backoff on success
-    this.backoffDelay = 0;
-
-    return await response.json();
   },
 
-  apiRequestWithRetry: async function (endpoint, instance) {
-    // Retry once with the freshest on-disk token state after a successful refresh.
-    this.syncOAuthDataFromDisk(instance, { force: true });
+  /**
+   * Fetch per-device statuses with at most `statusConcurrency` requests in flight.
+   * After each full wave of results, a partial DEVICE_DATA (fresh rows + cached rows
+   * for devices still pending) is sent so one slow device doesn't hold up the rest.
+   */
+  fetchStatusesPooled: async function (instance, devices, normalizedById) {
+    const limit = Math.min(Math.max(parseInt(instance.config.statusConcurrency, 10) || 4, 1), 8);
+    let completed = 0;
+    let sentCount = Object.keys(normalizedById).length;
 
-    const accessToken = this.getAccessToken(instance);
-    if (!accessToken) {
-      throw new Error("No access token available");
-    }
+    await this.runPool(devices, limit, async (device) => {
+      await this.throttleRequest(instance);
 
-    this.requestCount++;
-    if (this.requestCount >= this.RATE_WARNING) {
-      console.warn("[MMM-STStatus] WARNING: Approaching rate limit (" + this.requestCount + "/" + this.RATE_LIMIT + ")");
-    }
+      try {
+        const status = await this.fetchDeviceStatus(device.id, instance);
+        if (status) {
+          this.storeDeviceStatus(instance, device, status, normalizedById);
+        }
+      } catch (err) {
+        // Individual device errors don't count as full failures
+        this.log("Error fetching device " + device.id + ": " + err.message, false, instance);
+      }
 
-    const url = this.API_BASE + endpoint;
-    const response = await fetch(url, {
-      method: "GET",
-      headers: {
-        "Authorization": "Bearer " + accessToken,
-        "Content-Type": "application/json"
+      completed++;
+      const freshCount = Object.keys(normalizedById).length;
+      if (completed % limit === 0 && completed < devices.length && freshCount > sentCount) {
+        sentCount = freshCount;
+        this.sendPartialDevices(instance, normalizedById);
       }
     });
+  },
 
-    if (!response.ok) {
-      await this.handleHttpError(response, instance);
-      return null;
+  healthCheckDue: function (instance) {
+    if (instance.config.healthInterval === 0) {
+      return false;
     }
 
-    this.backoffDelay = 0;
-    return await response.json();
+    const interval = Math.max(instance.config.healthInterval || 300000, 60000); // Min 1 minute
+    return Date.now() - instance.lastHealthCheck >= interval;
   },
 
   /**
-   * Handle HTTP error responses
+   * Query /devices/{id}/health for every device (same concurrency limit as status calls)
    */
-  handleHttpError: async function (response, instance) {
-    const status = response.status;
-    let errorBody = "";
-    
-    try {
-      errorBody = await response.text();
-    } catch (e) {
-      // Ignore read errors
-    }
+  fetchDeviceHealth: async function (instance) {
+    const limit = Math.min(Math.max(parseInt(instance.config.statusConcurrency, 10) || 4, 1), 8);
+    instance.lastHealthCheck = Date.now();
 
-    switch (status) {
-      case 400:
-        // Check for invalid_grant in body
-        if (errorBody.includes("invalid_grant")) {
-          this.recordFailure(instance, "auth", "ALERT_AUTH");
-          throw new Error("Invalid grant");
-        }
-        this.recordFailure(instance, "outage", "ALERT_OUTAGE");
-        throw new Error("Bad request: " + status);
+    await this.runPool(instance.deviceList, limit, async (device) => {
+      await this.throttleRequest(instance);
 
-      case 401:
-        // Auth failure - try to refresh tokens first (OAuth mode)
-        if (this.oauthData && !instance.authFailed) {
-          console.warn("[MMM-STStatus] Auth error (HTTP " + status + "), attempting token refresh...");
-          const refreshed = await this.refreshTokens(instance);
-          if (refreshed) {
-            return "retry";
-          }
+      try {
+        const health = await this.apiRequest(`/devices/${device.id}/health`, instance);
+        if (health && health.state) {
+          instance.deviceHealth[device.id] = {
+            state: String(health.state).toLowerCase(),
+            updatedAt: health.lastUpdatedDate || null
+          };
         }
+      } catch (err) {
+        // Unknown health just leaves the previous value in place
+        this.log("Error fetching health for " + device.id + ": " + err.message, false, instance);
+      }
+    });
 
-        // Check for invalid_grant in body
-        if (errorBody.includes("invalid_grant")) {
-          this.recordFailure(instance, "auth", "ALERT_AUTH");
-        } else {
-          this.recordFailure(instance, "auth", "ALERT_AUTH");
-        }
+    const offline = Object.values(instance.deviceHealth).filter(h => h.state === "offline").length;
+    this.log("Health check: " + offline + " of " + instance.deviceList.length + " devices offline", true, instance);
+  },
 
-        // Auth failure - stop polling
-        console.error("[MMM-STStatus] ERROR: Authentication failed (HTTP " + status + ")");
-        instance.authFailed = true;
-        if (instance.pollTimer) {
-          clearInterval(instance.pollTimer);
-          instance.pollTimer = null;
-        }
-        throw new Error("Authentication failed");
+  /**
+   * Check the rate limit before a pooled request, pausing briefly when it is reached
+   */
+  throttleRequest: async function (instance) {
+    if (!this.checkRateLimit(this.accountFor(instance))) {
+      this.log("Rate limit approached, delaying requests");
+      await this.delay(1000);
+    }
+  },
 
-      case 403:
-        // Permission/scope error
-        this.recordFailure(instance, "scope", "ALERT_SCOPE");
-        console.error("[MMM-STStatus] ERROR: Permission denied (HTTP " + status + ")");
-        throw new Error("Permission denied");
+  /**
+   * Run an async task for each item with at most `limit` tasks in flight
+   */
+  runPool: async function (items, limit, task) {
+    let next = 0;
+    const worker = async () => {
+      while (next < items.length) {
+        const item = items[next++];
+        await task(item);
+      }
+    };
 
-      case 429:
-        // Rate limited - exponential backoff
-        this.backoffDelay = Math.min(this.backoffDelay ? this.backoffDelay * 2 : 1000, 30000);
-        this.recordFailure(instance, "rateLimit", "ALERT_RATE_LIMIT");
-        console.warn("[MMM-STStatus] WARNING: Rate limited, backing off for " + this.backoffDelay + "ms");
-        throw new Error("Rate limited");
+    const workers = [];
+    for (let i = 0; i < Math.min(limit, items.length); i++) {
+      workers.push(worker());
+    }
+    await Promise.all(workers);
+  },
 
-      case 500:
-      case 502:
-      case 503:
-        // Server error - log and continue
-        this.recordFailure(instance, "outage", "ALERT_OUTAGE");
-        console.warn("[MMM-STStatus] WARNING: Server error (HTTP " + status + "), will retry");
-        throw new Error("Server error: " + status);
+  sendPartialDevices: function (instance, normalizedById) {
+    const cached = instance.cache && instance.cache.lastStatus ? instance.cache.lastStatus : [];
+    const devices = instance.deviceList
+      .map(d => normalizedById[d.id] || cached.find(c => c.id === d.id))
+      .filter(Boolean);
 
-      default:
-        this.recordFailure(instance, "outage", "ALERT_OUTAGE");
-        console.error("[MMM-STStatus] ERROR: HTTP " + status);
-        throw new Error("HTTP error: " + status);
-    }
+    this.sendToInstance("DEVICE_DATA", instance, {
+      devices: devices,
+      timestamp: new Date().toISOString(),
+      partial: true
+    });
   },
 
   /**
-   * Handle general errors
+   * Fetch statuses for each resolved location with `includeStatus`, following pages
+   * (explicit device lists have no resolved location, so the listing is account-wide)
+   * @returns {Object|null} deviceId -> status, or null if the bulk listing is unavailable
    */
-  handleError: function (err, instance) {
-    const message = err.message || "Unknown error";
-    const code = err.code || "";
-    
-    console.error("[MMM-STStatus] ERROR: " + message);
+  fetchBulkStatuses: async function (instance) {
+    const endpoints = instance.locations.length > 0
+      ? instance.locations.map(loc => "/devices?includeStatus=true&locationId=" + encodeURIComponent(loc.locationId))
+      : ["/devices?includeStatus=true"];
+
+    const statuses = {};
+    for (const endpoint of endpoints) {
+      let response;
+      try {
+        response = await this.apiRequestAllPages(endpoint, instance);
+      } catch (err) {
+        this.log("Bulk status unavailable, fetching devices individually: " + err.message, false, instance);
+        return null;
+      }
 
-    // Check for network errors
-    if (code === "ECONNREFUSED" || code === "ETIMEDOUT" || code === "ENOTFOUND" || code === "ECONNRESET") {
-      this.recordFailure(instance, "network", "ALERT_NETWORK");
-      console.warn("[MMM-STStatus] Network error, using cached data if available");
-      return;
+      if (!response) {
+        return null;
+      }
+
+      for (const item of response.items) {
+        const status = this.extractEmbeddedStatus(item);
+        if (status) {
+          statuses[item.deviceId] = status;
+        }
+      }
     }
 
-    // Check for network errors surfaced through the error message
+    this.log("Bulk status: " + Object.keys(statuses).length + " devices", true, instance);
+    return statuses;
+  },
+
+  /**
+   * Convert the status embedded in a `/devices?includeStatus=true` item
+   * to the `/devices/{id}/status` shape normalizeDevice expects
+   */
+  extractEmbeddedStatus: function (item) {
+    if (item.status && item.status.components) {
+      return item.status;
+    }
+
+    if (!Array.isArray(item.components)) {
+      return null;
+    }
+
+    const components = {};
+    let found = false;
+    for (const component of item.components) {
+      const capabilities = {};
+      for (const capability of component.capabilities || []) {
+        if (capability.status) {
+          capabilities[capability.id] = capability.status;
+          found = true;
+        }
+      }
+      components[component.id] = capabilities;
+    }
+
+    return found ? { components: components } : null;
+  },
+
+  /**
+   * Fetch status for a single device
+   */
+  fetchDeviceStatus: async function (deviceId, instance) {
+    return await this.apiRequest(`/devices/${deviceId}/status`, instance);
+  },
+
+  // ============================================================================
+  // Device Commands
+  // ============================================================================
+
+  /**
+   * Send a command to a device, then re-fetch that device's status
+   * @param {Object} payload - { deviceId, capability, command, arguments, component, requestId }
+   * @returns {boolean} True if SmartThings accepted the command
+   */
+  sendCommand: async function (instance, payload) {
+    const result = {
+      deviceId: payload.deviceId,
+      capability: payload.capability,
+      command: payload.command,
+      requestId: payload.requestId || null,
+      success: false
+    };
+
+    try {
+      const command = this.buildDeviceCommand(instance, payload);
+      this.log("Sending command " + command.capability + "." + command.command + " to " + payload.deviceId, true, instance);
+
+      if (instance.config.testMode) {
+        this.applyMockCommand(instance, payload.deviceId, command);
+      } else {
+        const response = await this.apiRequest(`/devices/${payload.deviceId}/commands`, instance, {
+          method: "POST",
+          body: { commands: [command] }
+        });
+
+        if (!response) {
+          throw new Error("Command not accepted");
+        }
+
+        const failed = (response.results || []).find(r => r.status === "FAILED");
+        if (failed) {
+          throw new Error("Command failed on device");
+        }
+
+        await this.refreshDevice(instance, payload.deviceId);
+      }
+
+      result.success = true;
+    } catch (err) {
+      this.log("Command failed for device " + payload.deviceId + ": " + err.message, false, instance);
+      result.error = err.message;
+    }
+
+    this.sendToInstance("COMMAND_RESULT", instance, result);
+    return result.success;
+  },
+
+  /**
+   * Validate a SEND_COMMAND payload and build the SmartThings command object
+   * @throws {Error} If the device, command or arguments are not allowed
+   */
+  buildDeviceCommand: function (instance, payload) {
+    if (!payload || !payload.deviceId) {
+      throw new Error("Missing deviceId");
+    }
+
+    const knownDevices = instance.config.testMode ? (instance.mockDevices || []) : instance.deviceList;
+    if (!knownDevices.find(d => d.id === payload.deviceId)) {
+      throw new Error("Device not configured: " + payload.deviceId);
+    }
+
+    const commands = this.DEVICE_COMMANDS[payload.capability];
+    const argumentTypes = commands && commands[payload.command];
+    if (!argumentTypes) {
+      throw new Error("Unsupported command: " + payload.capability + "." + payload.command);
+    }
+
+    let args = payload.arguments;
+    if (args === undefined || args === null) {
+      args = [];
+    } else if (!Array.isArray(args)) {
+      args = [args];
+    }
+
+    if (args.length < argumentTypes.length) {
+      throw new Error("Missing argument for " + payload.capability + "." + payload.command);
+    }
+
+    return {
+      component: payload.component || "main",
+      capability: payload.capability,
+      command: payload.command,
+      arguments: argumentTypes.map((type, i) => this.coerceCommandArgument(type, args[i]))
+    };
+  },
+
+  coerceCommandArgument: function (type, value) {
+    const number = Number(value);
+    if (value === "" || typeof value === "boolean" || !Number.isFinite(number)) {
+      throw new Error("Invalid " + type + " argument: " + value);
+    }
+
+    if (type === "percent") {
+      return Math.min(100, Math.max(0, Math.round(number)));
+    }
+
+    return number;
+  },
+
+  /**
+   * Re-fetch one device's status and push the patched device list to the frontend
+   */
+  refreshDevice: async function (instance, deviceId) {
+    const device = instance.deviceList.find(d => d.id === deviceId);
+    if (!device) {
+      return;
+    }
+
+    try {
+      const status = await this.fetchDeviceStatus(deviceId, instance);
+      const normalized = status ? this.normalizeDevice(device, status, instance) : null;
+      if (!normalized) {
+        return;
+      }
+
+      instance.deviceStatus[deviceId] = status;
+      this.patchDevices(instance, [normalized]);
+    } catch (err) {
+      this.log("Error refreshing device " + deviceId + ": " + err.message, false, instance);
+    }
+  },
+
+  /**
+   * Replace individual normalized devices in the cached list and push it to the frontend
+   */
+  patchDevices: function (instance, updatedDevices) {
+    const devices = instance.cache && instance.cache.lastStatus ? instance.cache.lastStatus.slice() : [];
+
+    for (const normalized of updatedDevices) {
+      const index = devices.findIndex(d => d.id === normalized.id);
+      if (index === -1) {
+        devices.push(normalized);
+      } else {
+        devices[index] = normalized;
+      }
+    }
+
+    this.recordChanges(instance, devices);
+    this.updateCache(instance, { lastStatus: devices });
+    this.evaluateAlertRules(instance, devices);
+    if (!this.updateSafetyAlert(instance, devices) && instance.currentAlert &&
+        this.SAFETY_ALERT_TYPES.includes(instance.currentAlert.type)) {
+      this.clearAlert(instance);
+    }
+    this.sendToInstance("DEVICE_DATA", instance, {
+      devices: devices,
+      timestamp: new Date().toISOString()
+    });
+  },
+
+  /**
+   * Apply a command to test mode mock devices
+   */
+  applyMockCommand: function (instance, deviceId, command) {
+    const device = instance.mockDevices.find(d => d.id === deviceId);
+    const value = command.arguments[0];
+
+    switch (command.command) {
+      case "on":
+      case "off":
+        device.primaryState = command.command;
+        break;
+      case "lock":
+        device.primaryState = "locked";
+        break;
+      case "unlock":
+        device.primaryState = "unlocked";
+        break;
+      case "open":
+        device.primaryState = device.primaryCapability === "blinds" ? 100 : "open";
+        break;
+      case "close":
+        device.primaryState = device.primaryCapability === "blinds" ? 0 : "closed";
+        break;
+      case "setLevel":
+      case "setShadeLevel":
+        device.level = value;
+        break;
+      case "setHeatingSetpoint":
+        device.heatingSetpoint = value;
+        break;
+      case "setCoolingSetpoint":
+        device.coolingSetpoint = value;
+        break;
+    }
+
+    this.sendToInstance("DEVICE_DATA", instance, {
+      devices: instance.mockDevices,
+      timestamp: new Date().toISOString()
+    });
+  },
+
+  // ============================================================================
+  // Realtime Updates (SmartThings subscriptions + webhook)
+  // ============================================================================
+
+  /**
+   * Start the webhook receiver and subscribe to events for this instance's devices
+   * @returns {boolean} True if events will arrive; false falls back to normal polling
+   */
+  startRealtime: async function (instance) {
+    const installedAppId = this.getInstalledAppId(instance);
+    if (!installedAppId) {
+      console.warn("[MMM-STStatus] WARNING: realtime needs an installedAppId (re-run setup.js), using polling");
+      return false;
+    }
+
+    try {
+      await this.startWebhookServer(instance);
+      await this.ensureSubscriptions(instance, installedAppId);
+      this.log("Realtime updates active for " + instance.deviceList.length + " devices", false, instance);
+      return true;
+    } catch (err) {
+      console.warn("[MMM-STStatus] WARNING: Realtime setup failed (" + err.message + "), using polling");
+      return false;
+    }
+  },
+
+  getInstalledAppId: function (instance) {
+    if (instance.config.installedAppId) {
+      return instance.config.installedAppId;
+    }
+    const account = this.accountFor(instance);
+    return account.oauthData ? account.oauthData.installedAppId || null : null;
+  },
+
+  /**
+   * Start the shared webhook receiver (one per helper, first instance's port wins)
+   * Instances that start together wait for the same listen instead of racing for the port.
+   */
+  startWebhookServer: async function (instance) {
+    const port = instance.config.webhookPort !== undefined ? instance.config.webhookPort : 8093;
+
+    if (!this.webhookServer && !this.webhookStarting) {
+      this.webhookStarting = this.listenWebhookServer(port, instance);
+      try {
+        await this.webhookStarting;
+      } finally {
+        this.webhookStarting = null;
+      }
+      return;
+    }
+
+    if (this.webhookStarting) {
+      await this.webhookStarting;
+    }
+    if (port !== 0 && this.webhookServer.address().port !== port) {
+      console.warn("[MMM-STStatus] WARNING: Webhook already listening on port " +
+        this.webhookServer.address().port + ", ignoring webhookPort " + port);
+    }
+  },
+
+  listenWebhookServer: function (port, instance) {
+    return new Promise((resolve, reject) => {
+      const server = http.createServer((req, res) => {
+        this.handleWebhookRequest(req, res).catch((err) => {
+          console.error("[MMM-STStatus] ERROR: Webhook request failed: " + err.message);
+          if (!res.headersSent) {
+            res.writeHead(500);
+          }
+          res.end();
+        });
+      });
+
+      server.once("error", reject);
+      server.listen(port, () => {
+        this.webhookServer = server;
+        this.log("Webhook receiver listening on port " + server.address().port, false, instance);
+        resolve();
+      });
+    });
+  },
+
+  /**
+   * Create a device subscription for every resolved device that does not have one yet
+   */
+  ensureSubscriptions: async function (instance, installedAppId) {
+    const existing = await this.apiRequestAllPages(`/installedapps/${installedAppId}/subscriptions`, instance);
+    if (!existing) {
+      throw new Error("Could not list subscriptions");
+    }
+
+    const subscribed = new Set(
+      (existing.items || [])
+        .filter(sub => sub.sourceType === "DEVICE" && sub.device)
+        .map(sub => sub.device.deviceId)
+    );
+
+    let created = 0;
+    for (const device of instance.deviceList) {
+      if (subscribed.has(device.id)) {
+        continue;
+      }
+
+      const response = await this.apiRequest(`/installedapps/${installedAppId}/subscriptions`, instance, {
+        method: "POST",
+        body: {
+          sourceType: "DEVICE",
+          device: {
+            deviceId: device.id,
+            componentId: "*",
+            capability: "*",
+            attribute: "*",
+            stateChangeOnly: true
+          }
+        }
+      });
+
+      if (!response) {
+        throw new Error("Subscription failed for device " + device.id);
+      }
+      created++;
+    }
+
+    this.log("Subscriptions: " + subscribed.size + " existing, " + created + " created", true, instance);
+  },
+
+  /**
+   * Handle a SmartApp lifecycle POST (PING, CONFIRMATION, EVENT)
+   */
+  handleWebhookRequest: async function (req, res) {
+    if (req.method !== "POST") {
+      res.writeHead(405);
+      res.end();
+      return;
+    }
+
+    const body = await this.readWebhookBody(req);
+    if (!body) {
+      console.warn("[MMM-STStatus] WARNING: Rejected webhook request over " + this.WEBHOOK_BODY_LIMIT + " bytes");
+      res.writeHead(413, { Connection: "close" });
+      res.end(() => req.destroy());
+      return;
+    }
+
+    const verified = await this.verifyWebhookRequest(req, body);
+    if (!verified) {
+      console.warn("[MMM-STStatus] WARNING: Rejected webhook request with invalid signature");
+      res.writeHead(401);
+      res.end();
+      return;
+    }
+
+    let message;
+    try {
+      message = JSON.parse(body.toString("utf8"));
+    } catch (err) {
+      res.writeHead(400);
+      res.end();
+      return;
+    }
+
+    let response = {};
+    switch (message.lifecycle) {
+      case "PING":
+        response = { pingData: { challenge: message.pingData && message.pingData.challenge } };
+        break;
+
+      case "CONFIRMATION":
+        await this.confirmWebhook(message.confirmationData);
+        response = { targetUrl: message.confirmationData && message.confirmationData.targetUrl };
+        break;
+
+      case "EVENT":
+        this.handleDeviceEvents((message.eventData && message.eventData.events) || []);
+        response = { eventData: {} };
+        break;
+
+      default:
+        this.log("Ignoring webhook lifecycle: " + message.lifecycle, true);
+        break;
+    }
+
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(response));
+  },
+
+  /**
+   * Read a webhook request body, giving up once it exceeds WEBHOOK_BODY_LIMIT
+   * @returns {Promise<Buffer|null>} The body, or null if it is too large
+   */
+  readWebhookBody: function (req) {
+    if (Number(req.headers["content-length"]) > this.WEBHOOK_BODY_LIMIT) {
+      return Promise.resolve(null);
+    }
+
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      const onData = (chunk) => {
+        size += chunk.length;
+        if (size > this.WEBHOOK_BODY_LIMIT) {
+          req.removeListener("data", onData);
+          resolve(null);
+          return;
+        }
+        chunks.push(chunk);
+      };
+      req.on("data", onData);
+      req.on("end", () => resolve(Buffer.concat(chunks)));
+      req.on("error", reject);
+    });
+  },
+
+  /**
+   * Check the HTTP Signature on a webhook request
+   */
+  verifyWebhookRequest: async function (req, body) {
+    const signature = parseSignatureHeader(req.headers.authorization);
+    if (!signature) {
+      return false;
+    }
+
+    const publicKey = await this.getWebhookKey(signature.keyId);
+    if (!publicKey) {
+      return false;
+    }
+
+    const valid = verifySignature({
+      method: req.method,
+      path: req.url,
+      headers: req.headers,
+      body: body
+    }, signature, publicKey);
+
+    return valid && this.rememberWebhookSignature(signature.signature, req.headers.date);
+  },
+
+  /**
+   * Accept each signature once while its Date header is fresh, so a captured
+   * request cannot be replayed inside the clock skew window
+   * @returns {boolean} False if the signature was already seen
+   */
+  rememberWebhookSignature: function (signature, date) {
+    const now = Date.now();
+    for (const [seen, expiresAt] of Object.entries(this.webhookSignatures)) {
+      if (expiresAt < now) {
+        delete this.webhookSignatures[seen];
+      }
+    }
+
+    if (this.webhookSignatures[signature]) {
+      console.warn("[MMM-STStatus] WARNING: Rejected replayed webhook request");
+      return false;
+    }
+
+    this.webhookSignatures[signature] = Date.parse(date) + MAX_CLOCK_SKEW;
+    return true;
+  },
+
+  /**
+   * Fetch (and cache) the public key for a signature keyId from the SmartThings key server
+   * The keyId comes from the caller, so it must stay a path on KEY_BASE's own host.
+   * @returns {Promise<crypto.KeyObject|null>} The key, or null if unusable
+   */
+  getWebhookKey: async function (keyId) {
+    if (this.webhookKeys[keyId]) {
+      return this.webhookKeys[keyId];
+    }
+
+    const keyBase = new URL(this.KEY_BASE);
+    const keyUrl = isValidKeyId(keyId) ? new URL(keyId, keyBase) : null;
+    if (!keyUrl || keyUrl.origin !== keyBase.origin) {
+      console.warn("[MMM-STStatus] WARNING: Rejected webhook key ID " + JSON.stringify(String(keyId)));
+      return null;
+    }
+
+    try {
+      const response = await fetch(keyUrl);
+      if (!response.ok) {
+        console.warn("[MMM-STStatus] WARNING: Could not fetch webhook key (HTTP " + response.status + ")");
+        return null;
+      }
+      this.webhookKeys[keyId] = publicKeyFromPem(await response.text());
+      return this.webhookKeys[keyId];
+    } catch (err) {
+      console.warn("[MMM-STStatus] WARNING: Could not fetch webhook key: " + err.message);
+      return null;
+    }
+  },
+
+  /**
+   * Confirm the webhook target by visiting the confirmation URL SmartThings sent
+   */
+  confirmWebhook: async function (confirmationData) {
+    if (!confirmationData || !confirmationData.confirmationUrl) {
+      return;
+    }
+
+    const response = await fetch(confirmationData.confirmationUrl);
+    if (response.ok) {
+      this.log("Webhook target confirmed for app " + confirmationData.appId);
+    } else {
+      console.warn("[MMM-STStatus] WARNING: Webhook confirmation failed (HTTP " + response.status + ")");
+    }
+  },
+
+  /**
+   * Apply DEVICE_EVENTs to every realtime instance showing the device
+   */
+  handleDeviceEvents: function (events) {
+    const deviceEvents = events
+      .filter(event => event.eventType === "DEVICE_EVENT" && event.deviceEvent)
+      .map(event => event.deviceEvent);
+
+    for (const instance of Object.values(this.instances)) {
+      if (!instance.realtimeActive || instance.authFailed) {
+        continue;
+      }
+
+      const updated = [];
+      for (const event of deviceEvents) {
+        const device = instance.deviceList.find(d => d.id === event.deviceId);
+        if (!device) {
+          continue;
+        }
+
+        const status = instance.deviceStatus[event.deviceId];
+        if (!status || !status.components) {
+          // No snapshot to patch yet - fetch the whole device instead
+          this.refreshDevice(instance, event.deviceId);
+          continue;
+        }
+
+        const componentId = event.componentId || "main";
+        const component = status.components[componentId] = status.components[componentId] || {};
+        const capability = component[event.capability] = component[event.capability] || {};
+        capability[event.attribute] = {
+          value: event.value,
+          unit: event.unit,
+          timestamp: event.eventTime || new Date().toISOString()
+        };
+
+        this.log("Event: " + device.name + " " + event.capability + "." + event.attribute + " = " + event.value, true, instance);
+
+        const normalized = this.normalizeDevice(device, status, instance);
+        if (normalized) {
+          const index = updated.findIndex(d => d.id === normalized.id);
+          if (index === -1) {
+            updated.push(normalized);
+          } else {
+            updated[index] = normalized;
+          }
+        }
+      }
+
+      if (updated.length > 0) {
+        this.patchDevices(instance, updated);
+      }
+    }
+  },
+
+  /**
+   * Make an API request with rate limiting and error handling
+   * @param {Object} options - Optional { method, body } for non-GET requests
+   */
+  apiRequest: async function (endpoint, instance, options = {}) {
+    this.syncOAuthDataFromDisk(instance);
+    const account = this.accountFor(instance);
+
+    // Apply backoff if needed
+    if (account.backoffDelay > 0) {
+      this.log("Applying backoff delay: " + account.backoffDelay + "ms", true, instance);
+      await this.delay(account.backoffDelay);
+    }
+
+    // Get access token
+    const accessToken = this.getAccessToken(instance);
+    if (!accessToken) {
+      throw new Error("No access token available");
+    }
+
+    // Track request count
+    this.countRequest(instance);
+
+    const url = this.API_BASE + endpoint;
+    this.log("API Request: " + (options.method || "GET") + " " + endpoint, true, instance);
+
+    const response = await fetch(url, this.buildFetchOptions(accessToken, options));
+
+    // Handle response status
+    if (!response.ok) {
+      const recovery = await this.handleHttpError(response, instance);
+      if (recovery === "retry") {
+        this.log("Retrying API request after OAuth refresh: " + endpoint, true, instance);
+        return await this.apiRequestWithRetry(endpoint, instance, options);
+      }
+      return null;
+    }
+
+    // Reset backoff on success
+    account.backoffDelay = 0;
+
+    return await response.json();
+  },
+
+  /**
+   * GET a list endpoint and follow `_links.next` until exhausted (capped at MAX_PAGES)
+   * @returns {Object|null} { items } with every page's items, or null if a page failed
+   */
+  apiRequestAllPages: async function (endpoint, instance) {
+    const items = [];
+    let pages = 0;
+    let next = endpoint;
+
+    while (next) {
+      if (pages >= this.MAX_PAGES) {
+        console.warn("[MMM-STStatus] WARNING: Stopped after " + this.MAX_PAGES + " pages of " + endpoint);
+        break;
+      }
+
+      const response = await this.apiRequest(next, instance);
+      if (!response || !Array.isArray(response.items)) {
+        return null;
+      }
+
+      items.push(...response.items);
+      pages++;
+      next = this.nextPageEndpoint(response);
+    }
+
+    this.log("Fetched " + items.length + " items in " + pages + " page(s): " + endpoint, true, instance);
+    return { items: items };
+  },
+
+  /**
+   * Endpoint for the next page of a list response, relative to API_BASE
+   */
+  nextPageEndpoint: function (response) {
+    const next = response && response._links && response._links.next;
+    if (!next || !next.href) {
+      return null;
+    }
+
+    // SmartThings returns absolute links, with or without the /v1 prefix
+    const url = new URL(next.href, this.API_BASE);
+    const basePath = new URL(this.API_BASE).pathname.replace(/\/$/, "");
+    const pathname = url.pathname.startsWith(basePath + "/") ? url.pathname.substring(basePath.length) : url.pathname;
+    return pathname + url.search;
+  },
+
+  apiRequestWithRetry: async function (endpoint, instance, options = {}) {
+    // Retry once with the freshest on-disk token state after a successful refresh.
+    this.syncOAuthDataFromDisk(instance, { force: true });
+
+    const accessToken = this.getAccessToken(instance);
+    if (!accessToken) {
+      throw new Error("No access token available");
+    }
+
+    this.countRequest(instance);
+
+    const url = this.API_BASE + endpoint;
+    const response = await fetch(url, this.buildFetchOptions(accessToken, options));
+
+    if (!response.ok) {
+      await this.handleHttpError(response, instance);
+      return null;
+    }
+
+    this.accountFor(instance).backoffDelay = 0;
+    return await response.json();
+  },
+
+  buildFetchOptions: function (accessToken, options) {
+    const fetchOptions = {
+      method: options.method || "GET",
+      headers: {
+        "Authorization": "Bearer " + accessToken,
+        "Content-Type": "application/json"
+      }
+    };
+
+    if (options.body !== undefined) {
+      fetchOptions.body = JSON.stringify(options.body);
+    }
+
+    return fetchOptions;
+  },
+
+  /**
+   * Handle HTTP error responses
+   */
+  handleHttpError: async function (response, instance) {
+    const status = response.status;
+    let errorBody = "";
+    
+    try {
+      errorBody = await response.text();
+    } catch (e) {
+      // Ignore read errors
+    }
+
+    switch (status) {
+      case 400:
+        // Check for invalid_grant in body
+        if (errorBody.includes("invalid_grant")) {
+          this.recordFailure(instance, "auth", "ALERT_AUTH");
+          throw new Error("Invalid grant");
+        }
+        this.recordFailure(instance, "outage", "ALERT_OUTAGE");
+        throw new Error("Bad request: " + status);
+
+      case 401:
+        // Auth failure - try to refresh tokens first (OAuth mode)
+        if (this.accountFor(instance).oauthData && !instance.authFailed) {
+          console.warn("[MMM-STStatus] Auth error (HTTP " + status + "), attempting token refresh...");
+          const refreshed = await this.refreshTokens(instance, { force: true });
+          if (refreshed) {
+            return "retry";
+          }
+        }
+
+        // Check for invalid_grant in body
+        if (errorBody.includes("invalid_grant")) {
+          this.recordFailure(instance, "auth", "ALERT_AUTH");
+        } else {
+          this.recordFailure(instance, "auth", "ALERT_AUTH");
+        }
+
+        // Auth failure - stop polling
+        console.error("[MMM-STStatus] ERROR: Authentication failed (HTTP " + status + ")");
+        instance.authFailed = true;
+        if (instance.pollTimer) {
+          clearInterval(instance.pollTimer);
+          instance.pollTimer = null;
+        }
+        throw new Error("Authentication failed");
+
+      case 403:
+        // Permission/scope error
+        this.recordFailure(instance, "scope", "ALERT_SCOPE");
+        console.error("[MMM-STStatus] ERROR: Permission denied (HTTP " + status + ")");
+        throw new Error("Permission denied");
+
+      case 429:
+        // Rate limited - exponential backoff
+        const account = this.accountFor(instance);
+        account.backoffDelay = Math.min(account.backoffDelay ? account.backoffDelay * 2 : 1000, 30000);
+        this.recordFailure(instance, "rateLimit", "ALERT_RATE_LIMIT");
+        console.warn("[MMM-STStatus] WARNING: Rate limited, backing off for " + account.backoffDelay + "ms");
+        throw new Error("Rate limited");
+
+      case 500:
+      case 502:
+      case 503:
+        // Server error - log and continue
+        this.recordFailure(instance, "outage", "ALERT_OUTAGE");
+        console.warn("[MMM-STStatus] WARNING: Server error (HTTP " + status + "), will retry");
+        throw new Error("Server error: " + status);
+
+      default:
+        this.recordFailure(instance, "outage", "ALERT_OUTAGE");
+        console.error("[MMM-STStatus] ERROR: HTTP " + status);
+        throw new Error("HTTP error: " + status);
+    }
+  },
+
+  /**
+   * Handle general errors
+   */
+  handleError: function (err, instance) {
+    const message = err.message || "Unknown error";
+    const code = err.code || "";
+    
+    console.error("[MMM-STStatus] ERROR: " + message);
+
+    // Check for network errors
+    if (code === "ECONNREFUSED" || code === "ETIMEDOUT" || code === "ENOTFOUND" || code === "ECONNRESET") {
+      this.recordFailure(instance, "network", "ALERT_NETWORK");
+      console.warn("[MMM-STStatus] Network error, using cached data if available");
+      return;
+    }
+
+    // Check for network errors surfaced through the error message
     if (message.match(/ENOTFOUND|ETIMEDOUT|ECONNRESET|ECONNREFUSED|network/i)) {
       this.recordFailure(instance, "network", "ALERT_NETWORK");
       console.warn("[MMM-STStatus] Network error detected in message");
@@ -886,381 +1988,113 @@ module.exports = NodeHelper.create({
       id: device.id,
       name: device.name,
       room: device.room,
+      locationId: device.locationId || null,
+      location: device.location || null,
       primaryCapability: null,
-      primaryState: null
+      primaryState: null,
+      health: null,
+      healthUpdatedAt: null,
+      capabilities: {}
     };
 
-    // Extract attributes from status
-    if (status && status.components && status.components.main) {
-      const main = status.components.main;
-
-      // Debug: log all capabilities for this device
-      if (instance.config.debug) {
-        this.log("Device " + device.name + " capabilities: " + Object.keys(main).join(", "), false, instance);
-      }
-
-      // Priority order for primary capability
-      const capabilityPriority = ["switch", "contactSensor", "contact", "motionSensor", "motion", "lock", "presenceSensor", "presence", "windowShade", "temperatureMeasurement", "battery"];
-
-      for (const cap of capabilityPriority) {
-        if (main[cap]) {
-          normalized.primaryCapability = this.normalizeCapabilityName(cap);
-          
-          // Special handling for lock - extract lock state directly
-          if (cap === "lock") {
-            // Lock state is at main.lock.lock.value
-            if (main.lock && main.lock.lock && main.lock.lock.value !== undefined) {
-              normalized.primaryState = main.lock.lock.value;
-              if (instance.config.debug) {
-                this.log("Device " + device.name + " lock state: " + normalized.primaryState, false, instance);
-              }
-            } else {
-              // Fallback to generic extraction
-              normalized.primaryState = this.extractState(main[cap]);
-            }
-          }
-          // Special handling for windowShade - use level as primary state, not commands
-          else if (cap === "windowShade" || cap === "windowShadeLevel") {
-            // Extract the shade level first, we'll set primaryState to the numeric level
-            let shadeLevel = null;
-            
-            // Try windowShade.shadeLevel
-            if (main.windowShade && main.windowShade.shadeLevel && 
-                main.windowShade.shadeLevel.value !== undefined) {
-              shadeLevel = main.windowShade.shadeLevel.value;
-            }
-            // Try windowShadeLevel.shadeLevel
-            else if (main.windowShadeLevel && main.windowShadeLevel.shadeLevel && 
-                     main.windowShadeLevel.shadeLevel.value !== undefined) {
-              shadeLevel = main.windowShadeLevel.shadeLevel.value;
-            }
-            // Try switchLevel.level as fallback
-            else if (main.switchLevel && main.switchLevel.level && 
-                     main.switchLevel.level.value !== undefined) {
-              shadeLevel = main.switchLevel.level.value;
-            }
-            
-            // Store the numeric level as primaryState for blinds
-            normalized.primaryState = shadeLevel;
-            if (instance.config.debug) {
-              this.log("Device " + device.name + " blinds level: " + shadeLevel, false, instance);
-            }
-          } else {
-            normalized.primaryState = this.extractState(main[cap]);
-          }
-          break;
-        }
-      }
-
-      // Extract secondary attributes - battery
-      if (main.battery && main.battery.battery) {
-        normalized.battery = main.battery.battery.value;
-      }
-
-      // Extract temperature from multiple possible capability names
-      const tempCaps = ["temperatureMeasurement", "temperature"];
-      for (const tempCap of tempCaps) {
-        if (main[tempCap]) {
-          const tempAttribute = this.extractCapabilityAttribute(main[tempCap], ["temperature", "value"]);
-
-          if (tempAttribute && tempAttribute.value !== undefined) {
-            normalized.temperature = tempAttribute.value;
-            normalized.temperatureUpdatedAt = this.extractAttributeTimestamp(tempAttribute);
-            if (instance.config.debug) {
-              this.log("Device " + device.name + " temperature: " + normalized.temperature, false, instance);
-            }
-            break;
-          }
-
-          const tempValue = this.extractState(main[tempCap]);
-          if (tempValue !== null && typeof tempValue === "number") {
-            normalized.temperature = tempValue;
-            if (instance.config.debug) {
-              this.log("Device " + device.name + " temperature (alt): " + normalized.temperature, false, instance);
-            }
-            break;
-          }
-        }
-      }
-
-      // Extract humidity from multiple possible capability names
-      const humidityCaps = ["relativeHumidityMeasurement", "humidity"];
-      for (const humCap of humidityCaps) {
-        if (main[humCap]) {
-          if (main[humCap].humidity && main[humCap].humidity.value !== undefined) {
-            normalized.humidity = main[humCap].humidity.value;
-            break;
-          }
-          const humValue = this.extractState(main[humCap]);
-          if (humValue !== null && typeof humValue === "number") {
-            normalized.humidity = humValue;
-            break;
-          }
-        }
-      }
-
-      // Extract window shade level (for blinds)
-      if (main.windowShade) {
-        if (main.windowShade.shadeLevel && main.windowShade.shadeLevel.value !== undefined) {
-          normalized.level = main.windowShade.shadeLevel.value;
-        }
-      }
-      if (main.windowShadeLevel) {
-        if (main.windowShadeLevel.shadeLevel && main.windowShadeLevel.shadeLevel.value !== undefined) {
-          normalized.level = main.windowShadeLevel.shadeLevel.value;
-        }
-      }
-      // Also check switchLevel for blinds that use that capability
-      if (main.switchLevel && normalized.level === undefined) {
-        if (main.switchLevel.level && main.switchLevel.level.value !== undefined) {
-          normalized.level = main.switchLevel.level.value;
-        }
-      }
+    const health = instance.deviceHealth ? instance.deviceHealth[device.id] : null;
+    if (health) {
+      normalized.health = health.state;
+      normalized.healthUpdatedAt = health.updatedAt;
     }
 
-    // --- Temperature extraction across ALL components ---
-    if (status && status.components) {
-      for (const componentName in status.components) {
-        const component = status.components[componentName];
-
-        // temperatureMeasurement capability
-        const componentTemperatureAttribute =
-          (component.temperatureMeasurement &&
-            this.extractCapabilityAttribute(component.temperatureMeasurement, ["temperature"])) ||
-          this.extractCapabilityAttribute(component.temperature, ["temperature", "value"]);
-
-        if (componentTemperatureAttribute &&
-          componentTemperatureAttribute.value !== undefined) {
-
-          normalized.temperature = componentTemperatureAttribute.value;
-          normalized.temperatureUpdatedAt =
-            this.extractAttributeTimestamp(componentTemperatureAttribute) || normalized.temperatureUpdatedAt || null;
-
-          if (instance.config.debug) {
-            this.log(
-              "Temperature from component '" + componentName +
-              "': " + normalized.temperature
-            , false, instance);
-          }
-          break;
-        }
-
-      }
+    // Debug: log all capabilities for this device
+    if (instance.config.debug && status.components && status.components.main) {
+      this.log("Device " + device.name + " capabilities: " + Object.keys(status.components.main).join(", "), false, instance);
     }
-    // Ensure thermostat temperature is preserved (Ecobee)
-    if (
-      normalized.temperature === undefined &&
-      status &&
-      status.components &&
-      status.components.main
-    ) {
-      const main = status.components.main;
-
-      const thermostatTempAttribute =
-        main.thermostatTemperature &&
-        this.extractCapabilityAttribute(main.thermostatTemperature, ["temperature"]);
-
-      if (
-        thermostatTempAttribute &&
-        thermostatTempAttribute.value !== undefined
-      ) {
-        normalized.temperature = thermostatTempAttribute.value;
-        normalized.temperatureUpdatedAt =
-          this.extractAttributeTimestamp(thermostatTempAttribute) || normalized.temperatureUpdatedAt || null;
-      }
-    }
-    // --- Normalize SmartThings capabilities for extensibility ---
-    normalized.capabilities = normalized.capabilities || {};
-
-    if (status && status.components && status.components.main) {
-      const main = status.components.main;
-
-      // Temperature
-      const mainTemperatureAttribute =
-        (main.temperatureMeasurement &&
-          this.extractCapabilityAttribute(main.temperatureMeasurement, ["temperature"])) ||
-        (main.temperature &&
-          this.extractCapabilityAttribute(main.temperature, ["temperature", "value"])) ||
-        (main.thermostatTemperature &&
-          this.extractCapabilityAttribute(main.thermostatTemperature, ["temperature"]));
-
-      if (
-        mainTemperatureAttribute &&
-        mainTemperatureAttribute.value !== undefined
-      ) {
-        normalized.capabilities.temperature = mainTemperatureAttribute.value;
-        normalized.capabilities.temperatureUpdatedAt =
-          this.extractAttributeTimestamp(mainTemperatureAttribute);
-      }
-
-      // Humidity
-      if (
-        main.relativeHumidityMeasurement &&
-        main.relativeHumidityMeasurement.humidity &&
-        main.relativeHumidityMeasurement.humidity.value !== undefined
-      ) {
-        normalized.capabilities.humidity =
-          main.relativeHumidityMeasurement.humidity.value;
-      }
-
-      // Thermostat operating state (vendor-agnostic)
-      if (main.thermostatOperatingState) {
-        // Try operatingState first (standard)
-        if (
-          main.thermostatOperatingState.thermostatOperatingState &&
-          main.thermostatOperatingState.thermostatOperatingState.value
-        ) {
-          normalized.capabilities.thermostatOperatingState =
-            main.thermostatOperatingState.thermostatOperatingState.value;
-        }
-        // Fallback to operatingState
-        else if (
-          main.thermostatOperatingState.operatingState &&
-          main.thermostatOperatingState.operatingState.value
-        ) {
-          normalized.capabilities.thermostatOperatingState =
-            main.thermostatOperatingState.operatingState.value;
-        }
-        
-        if (instance.config.debug && normalized.capabilities.thermostatOperatingState) {
-          this.log("Thermostat operating state: " + normalized.capabilities.thermostatOperatingState, false, instance);
-        }
-      }
-
-      // Thermostat mode (heat / cool / auto / off)
-      if (
-        main.thermostatMode &&
-        main.thermostatMode.thermostatMode &&
-        main.thermostatMode.thermostatMode.value
-      ) {
-        normalized.capabilities.thermostatMode =
-          main.thermostatMode.thermostatMode.value;
-      }
 
-      // Thermostat heating setpoint
-      if (main.thermostatHeatingSetpoint) {
-        if (instance.config.debug) {
-          this.log("thermostatHeatingSetpoint object: " + JSON.stringify(main.thermostatHeatingSetpoint), false, instance);
-        }
-        if (
-          main.thermostatHeatingSetpoint.heatingSetpoint &&
-          main.thermostatHeatingSetpoint.heatingSetpoint.value !== undefined
-        ) {
-          normalized.heatingSetpoint =
-            main.thermostatHeatingSetpoint.heatingSetpoint.value;
-          normalized.capabilities.heatingSetpoint =
-            main.thermostatHeatingSetpoint.heatingSetpoint.value;
-          if (instance.config.debug) {
-            this.log("Heating setpoint: " + normalized.heatingSetpoint, false, instance);
-          }
-        }
-      }
-
-      // Thermostat cooling setpoint
-      if (main.thermostatCoolingSetpoint) {
-        if (instance.config.debug) {
-          this.log("thermostatCoolingSetpoint object: " + JSON.stringify(main.thermostatCoolingSetpoint), false, instance);
-        }
-        if (
-          main.thermostatCoolingSetpoint.coolingSetpoint &&
-          main.thermostatCoolingSetpoint.coolingSetpoint.value !== undefined
-        ) {
-          normalized.coolingSetpoint =
-            main.thermostatCoolingSetpoint.coolingSetpoint.value;
-          normalized.capabilities.coolingSetpoint =
-            main.thermostatCoolingSetpoint.coolingSetpoint.value;
-          if (instance.config.debug) {
-            this.log("Cooling setpoint: " + normalized.coolingSetpoint, false, instance);
-          }
-        }
-      }
-    }
-    return normalized;
-  },
+    applyCapabilities(normalized, status, instance.capabilityHandlers);
 
-  extractCapabilityAttribute: function (capabilityData, preferredAttributes = []) {
-    if (!capabilityData || typeof capabilityData !== "object") {
-      return null;
+    // Appliances that only report minutes remaining still get a completion time
+    if (normalized.completionTime === undefined && typeof normalized.remainingTime === "number") {
+      normalized.completionTime = new Date(Date.now() + normalized.remainingTime * 60000).toISOString();
     }
 
-    for (const attributeName of preferredAttributes) {
-      const attribute = capabilityData[attributeName];
-      if (attribute && attribute.value !== undefined) {
-        return attribute;
-      }
+    if (normalized.button !== undefined && !normalized.buttonAt) {
+      normalized.buttonAt = this.getButtonEventTime(instance, normalized);
     }
-
-    for (const attributeName of Object.keys(capabilityData)) {
-      const attribute = capabilityData[attributeName];
-      if (attribute && attribute.value !== undefined) {
-        return attribute;
-      }
+    if (normalized.primaryCapability === "button") {
+      normalized.doorbell = this.isDoorbell(instance, device);
     }
 
-    return null;
-  },
-
-  extractAttributeTimestamp: function (attribute) {
-    if (!attribute || typeof attribute !== "object") {
-      return null;
+    if (instance.config.debug) {
+      this.log("Device " + device.name + " primary: " + normalized.primaryCapability + " = " + normalized.primaryState, false, instance);
     }
 
-    return attribute.timestamp || attribute.lastUpdated || attribute.updatedAt || null;
+    return normalized;
   },
 
   /**
-   * Normalize capability name
+   * Doorbells are marked with `doorbell: true` on their devices entry, listed by ID or
+   * name in `doorbells`, or categorized as a doorbell by SmartThings
    */
-  normalizeCapabilityName: function (cap) {
-    const mapping = {
-      "temperatureMeasurement": "temperature",
-      "relativeHumidityMeasurement": "humidity",
-      "contactSensor": "contact",
-      "motionSensor": "motion",
-      "presenceSensor": "presence",
-      "windowShade": "blinds",
-      "windowShadeLevel": "blinds",
-      "switchLevel": "level"
-    };
-    return mapping[cap] || cap;
+  isDoorbell: function (instance, device) {
+    const configured = (instance.config.devices || []).find(d => d.id === device.id);
+    if (configured && configured.doorbell) {
+      return true;
+    }
+
+    const doorbells = [].concat(instance.config.doorbells || []);
+    return doorbells.includes(device.id) || doorbells.includes(device.name) || device.category === "Doorbell";
   },
 
   /**
-   * Extract state value from capability data
+   * When a button event without a timestamp happened: unchanged since the last poll keeps
+   * the time already known, a new value dates from now, and the first sighting is unknown
+   * @returns {string|null} ISO timestamp
    */
-  extractState: function (capabilityData) {
-    // Find the first attribute with a value
-    for (const attr in capabilityData) {
-      if (capabilityData[attr] && capabilityData[attr].value !== undefined) {
-        return capabilityData[attr].value;
-      }
+  getButtonEventTime: function (instance, device) {
+    const previous = instance.cache && instance.cache.lastStatus ? instance.cache.lastStatus : [];
+    const before = previous.find(d => d.id === device.id);
+    if (!before) {
+      return null;
     }
-    return null;
+    if (before.button === device.button) {
+      return before.buttonAt || null;
+    }
+    return new Date().toISOString();
   },
 
   /**
    * Rate limit management
    */
-  checkRateLimit: function () {
+  checkRateLimit: function (account) {
     const now = Date.now();
 
     // Reset counter every minute
-    if (!this.requestResetTime || now > this.requestResetTime) {
-      this.resetRateLimit();
+    if (!account.requestResetTime || now > account.requestResetTime) {
+      this.resetRateLimit(account);
     }
 
-    return this.requestCount < this.RATE_LIMIT;
+    return account.requestCount < this.RATE_LIMIT;
+  },
+
+  countRequest: function (instance) {
+    const account = this.accountFor(instance);
+    this.checkRateLimit(account); // rolls the one-minute window
+    account.requestCount++;
+    instance.cycleRequests = (instance.cycleRequests || 0) + 1;
+    if (account.requestCount >= this.RATE_WARNING) {
+      console.warn("[MMM-STStatus] WARNING: Approaching rate limit (" + account.requestCount + "/" + this.RATE_LIMIT +
+        ", account: " + account.name + ")");
+    }
   },
 
-  resetRateLimit: function () {
-    this.requestCount = 0;
-    this.requestResetTime = Date.now() + 60000;
+  resetRateLimit: function (account) {
+    account.requestCount = 0;
+    account.requestResetTime = Date.now() + 60000;
   },
 
   /**
    * Cache management
    */
   loadCache: function (instance) {
+    instance.cacheReconciling = false;
     try {
       if (fs.existsSync(instance.cacheFile)) {
         const data = fs.readFileSync(instance.cacheFile, "utf8");
@@ -1273,13 +2107,14 @@ module.exports = NodeHelper.create({
           instance.cache = null;
         } else {
           this.log("Cache loaded, age: " + Math.round(cacheAge / 1000 / 60) + " minutes", true, instance);
+          instance.cacheReconciling = true;
 
           // Restore device list from cache
           if (instance.cache.devices) {
             instance.deviceList = instance.cache.devices;
           }
-          if (instance.cache.locationId) {
-            instance.locationId = instance.cache.locationId;
+          if (Array.isArray(instance.cache.locations)) {
+            instance.locations = instance.cache.locations;
           }
         }
       }
@@ -1300,7 +2135,7 @@ module.exports = NodeHelper.create({
     // Apply updates
     Object.assign(instance.cache, updates, {
       timestamp: new Date().toISOString(),
-      locationId: instance.locationId
+      locations: instance.locations
     });
 
     // Write to disk
@@ -1312,12 +2147,145 @@ module.exports = NodeHelper.create({
     }
   },
 
+  // ============================================================================
+  // State Change History
+  // ============================================================================
+
+  /**
+   * Load persisted history, dropping entries outside the retention window
+   */
+  loadHistory: function (instance) {
+    if (instance.history) {
+      return;
+    }
+
+    instance.history = [];
+    try {
+      if (fs.existsSync(instance.historyFile)) {
+        const data = JSON.parse(fs.readFileSync(instance.historyFile, "utf8"));
+        if (Array.isArray(data.entries)) {
+          instance.history = data.entries;
+        }
+        this.pruneHistory(instance);
+        this.log("History loaded, " + instance.history.length + " entries", true, instance);
+      }
+    } catch (err) {
+      this.log("Error loading history: " + err.message, false, instance);
+      instance.history = [];
+    }
+  },
+
+  /**
+   * Diff normalized devices against the last cached poll, announce each transition
+   * and add it to the history
+   * @param {Array} devices - Normalized devices about to replace cache.lastStatus
+   */
+  recordChanges: function (instance, devices) {
+    // The cache may be hours old, so what changed since then didn't happen now
+    if (instance.cacheReconciling) {
+      instance.cacheReconciling = false;
+      this.log("Reconciled devices with the cache, not recording changes", true, instance);
+      return;
+    }
+
+    const changes = this.diffDevices(instance, devices);
+    if (changes.length === 0) {
+      return;
+    }
+
+    this.log("Detected " + changes.length + " state change(s)", true, instance);
+    this.sendToInstance("DEVICE_CHANGES", instance, { changes: changes });
+
+    if (this.getHistoryRetention(instance) === 0) {
+      return;
+    }
+    if (!instance.history) {
+      this.loadHistory(instance);
+    }
+
+    instance.history.push(...changes);
+    this.pruneHistory(instance);
+    this.saveHistory(instance);
+    this.sendToInstance("DEVICE_HISTORY", instance, { entries: instance.history });
+  },
+
+  /**
+   * Transitions of HISTORY_ATTRIBUTES between the cached devices and a new poll
+   * Numeric primary states (temperatures, battery levels) are measurements, not
+   * state changes, and would crowd out the events worth keeping.
+   * @returns {Array} { deviceId, deviceName, room, capability, attribute, oldValue, newValue, timestamp }
+   */
+  diffDevices: function (instance, devices) {
+    const previous = instance.cache && instance.cache.lastStatus ? instance.cache.lastStatus : [];
+    const timestamp = new Date().toISOString();
+    const changes = [];
+
+    for (const device of devices) {
+      const before = previous.find(d => d.id === device.id);
+      if (!before) {
+        continue;
+      }
+
+      for (const attribute of this.HISTORY_ATTRIBUTES) {
+        const oldValue = before[attribute] === undefined ? null : before[attribute];
+        const newValue = device[attribute] === undefined ? null : device[attribute];
+        if (oldValue === newValue || (attribute === "primaryState" &&
+            typeof oldValue !== "string" && typeof newValue !== "string")) {
+          continue;
+        }
+        changes.push({
+          deviceId: device.id,
+          deviceName: device.name,
+          room: device.room || null,
+          capability: device.primaryCapability,
+          attribute: attribute,
+          oldValue: oldValue,
+          newValue: newValue,
+          timestamp: timestamp
+        });
+      }
+    }
+
+    return changes;
+  },
+
+  /**
+   * Drop entries older than historyRetention and keep at most historyLimit
+   */
+  pruneHistory: function (instance) {
+    const config = instance.config || {};
+    const cutoff = Date.now() - this.getHistoryRetention(instance);
+    const limit = Number.isFinite(config.historyLimit) && config.historyLimit > 0
+      ? Math.floor(config.historyLimit)
+      : this.HISTORY_LIMIT;
+
+    instance.history = instance.history.filter(entry => new Date(entry.timestamp).getTime() >= cutoff);
+    if (instance.history.length > limit) {
+      instance.history = instance.history.slice(-limit);
+    }
+  },
+
+  getHistoryRetention: function (instance) {
+    const retention = instance.config ? instance.config.historyRetention : undefined;
+    return Number.isFinite(retention) && retention >= 0 ? retention : this.HISTORY_RETENTION;
+  },
+
+  saveHistory: function (instance) {
+    try {
+      fs.writeFileSync(instance.historyFile, JSON.stringify({ entries: instance.history }, null, 2));
+    } catch (err) {
+      this.log("Error writing history: " + err.message, false, instance);
+    }
+  },
+
   hashConfig: function (config) {
     const relevant = {
       clientId: config.clientId,
       token: config.token,
       devices: config.devices,
-      rooms: config.rooms
+      rooms: config.rooms,
+      location: config.location,
+      account: config.account
     };
     return crypto.createHash("md5").update(JSON.stringify(relevant)).digest("hex");
   },
@@ -1351,8 +2319,9 @@ module.exports = NodeHelper.create({
    * Set an alert, respecting priority
    * @param {string} type - Alert type
    * @param {string} messageKey - Translation key for the alert message
+   * @param {Object} params - Optional translation variables
    */
-  setAlert: function (instance, type, messageKey) {
+  setAlert: function (instance, type, messageKey, params) {
     // Check if new alert has higher priority than current
     if (instance.currentAlert) {
       const currentPriority = this.ALERT_PRIORITY.indexOf(instance.currentAlert.type);
@@ -1366,13 +2335,49 @@ module.exports = NodeHelper.create({
     }
 
     instance.currentAlert = { type: type, messageKey: messageKey };
+    if (params) {
+      instance.currentAlert.params = params;
+    }
     this.log("Alert set: " + type, true, instance);
 
     // Send alert to frontend
-    this.sendToInstance("ALERT", instance, {
-      type: type,
-      messageKey: messageKey
-    });
+    this.sendToInstance("ALERT", instance, Object.assign({}, instance.currentAlert));
+  },
+
+  /**
+   * Raise the safety alert while any smoke, CO or water sensor reports an alarm,
+   * or the security alert while a sensor reports tampering
+   * Skips the failure threshold - one detected reading is enough. Reads the
+   * normalized smoke/carbonMonoxide/water/tamper fields, not just the primary state.
+   * @param {Array} devices - Normalized devices
+   * @returns {boolean} True if a safety or security alert is active
+   */
+  updateSafetyAlert: function (instance, devices) {
+    for (const [field, rule] of Object.entries(this.SAFETY_STATES)) {
+      const names = devices
+        .filter(d => d[field] === rule.state)
+        .map(d => d.name);
+      if (names.length === 0) {
+        continue;
+      }
+
+      const type = rule.type || "safety";
+      const params = { name: names.join(", ") };
+      const current = instance.currentAlert;
+      if (current && current.type === type && current.messageKey === rule.messageKey &&
+          current.params && current.params.name === params.name) {
+        return true;
+      }
+
+      // Replace any older safety or security alert; setAlert ignores alerts of equal priority
+      if (current && this.SAFETY_ALERT_TYPES.includes(current.type)) {
+        instance.currentAlert = null;
+      }
+      console.warn("[MMM-STStatus] WARNING: " + field + " alarm: " + params.name);
+      this.setAlert(instance, type, rule.messageKey, params);
+      return true;
+    }
+    return false;
   },
 
   /**
@@ -1394,23 +2399,209 @@ module.exports = NodeHelper.create({
     this.recordFailure(instance, "schema", "ALERT_SCHEMA");
   },
 
+  // ============================================================================
+  // Device Alert Rules
+  // ============================================================================
+
+  /**
+   * Validate config.alertRules, warning about (and skipping) rules that can't work
+   * A rule targets `devices` (IDs) and/or a primary `capability`, has exactly one
+   * condition from RULE_CONDITIONS, and an optional `duration` in ms.
+   * @returns {Array} Normalized rules
+   */
+  parseAlertRules: function (instance) {
+    const rules = Array.isArray(instance.config.alertRules) ? instance.config.alertRules : [];
+    const parsed = [];
+
+    rules.forEach((rule, index) => {
+      const conditions = Object.keys(this.RULE_CONDITIONS).filter(key => rule && rule[key] !== undefined);
+      let problem = null;
+      if (!rule || (!Array.isArray(rule.devices) && typeof rule.capability !== "string")) {
+        problem = "needs devices or capability";
+      } else if (conditions.length !== 1) {
+        problem = "needs exactly one of " + Object.keys(this.RULE_CONDITIONS).join(", ");
+      } else if (conditions[0] !== "state" && typeof rule[conditions[0]] !== "number") {
+        problem = conditions[0] + " must be a number";
+      }
+
+      if (problem) {
+        console.warn("[MMM-STStatus] WARNING: Ignoring alert rule " + index + ": " + problem);
+        return;
+      }
+
+      parsed.push({
+        index: index,
+        devices: Array.isArray(rule.devices) ? rule.devices : null,
+        capability: typeof rule.capability === "string" ? rule.capability : null,
+        attribute: typeof rule.attribute === "string" ? rule.attribute : null,
+        condition: conditions[0],
+        threshold: rule[conditions[0]],
+        duration: Number.isFinite(rule.duration) && rule.duration > 0 ? rule.duration : 0,
+        message: typeof rule.message === "string" ? rule.message : null,
+        showAlert: rule.showAlert === true
+      });
+    });
+
+    return parsed;
+  },
+
+  /**
+   * Value a rule condition is tested against
+   * Battery rules read the battery attribute; others read `attribute` or the primary state.
+   */
+  getRuleValue: function (rule, device) {
+    if (rule.condition === "batteryBelow") {
+      return typeof device.battery === "number" ? device.battery
+        : device.primaryCapability === "battery" ? device.primaryState : null;
+    }
+    const value = rule.attribute ? device[rule.attribute] : device.primaryState;
+    return value === undefined ? null : value;
+  },
+
+  /**
+   * Raise or clear rule alerts for the current devices
+   * Conditions must hold for the rule's duration before an alert is raised, so
+   * a timer re-checks the cached devices when the next pending duration runs out.
+   * @param {Array} devices - Normalized devices
+   */
+  evaluateAlertRules: function (instance, devices) {
+    if (instance.ruleTimer) {
+      clearTimeout(instance.ruleTimer);
+      instance.ruleTimer = null;
+    }
+    if (instance.alertRules.length === 0) {
+      return;
+    }
+
+    const now = Date.now();
+    const matches = {};
+    const alerts = [];
+    let nextCheck = Infinity;
+
+    for (const rule of instance.alertRules) {
+      for (const device of devices) {
+        if ((rule.devices && !rule.devices.includes(device.id)) ||
+            (rule.capability && device.primaryCapability !== rule.capability)) {
+          continue;
+        }
+
+        const value = this.getRuleValue(rule, device);
+        if (!this.RULE_CONDITIONS[rule.condition](value, rule.threshold)) {
+          continue;
+        }
+
+        const key = rule.index + ":" + device.id;
+        const since = matches[key] = instance.ruleMatches[key] || now;
+        if (now - since < rule.duration) {
+          nextCheck = Math.min(nextCheck, rule.duration - (now - since));
+          continue;
+        }
+
+        alerts.push({
+          id: key,
+          deviceId: device.id,
+          deviceName: device.name,
+          condition: rule.condition,
+          threshold: rule.threshold,
+          value: value,
+          duration: rule.duration,
+          message: rule.message,
+          showAlert: rule.showAlert,
+          since: new Date(since).toISOString()
+        });
+      }
+    }
+
+    instance.ruleMatches = matches;
+
+    if (nextCheck !== Infinity) {
+      instance.ruleTimer = setTimeout(() => {
+        instance.ruleTimer = null;
+        const cached = instance.cache && instance.cache.lastStatus ? instance.cache.lastStatus : [];
+        this.evaluateAlertRules(instance, cached);
+      }, nextCheck);
+    }
+
+    const previousIds = instance.deviceAlerts.map(alert => alert.id).join(",");
+    if (alerts.map(alert => alert.id).join(",") !== previousIds) {
+      instance.deviceAlerts = alerts;
+      this.log("Device alerts: " + (alerts.map(alert => alert.id).join(", ") || "none"), true, instance);
+      this.sendToInstance("DEVICE_ALERTS", instance, { alerts: alerts });
+    }
+  },
+
   /**
    * Mock data for test mode
    */
   sendMockData: function (instance) {
     const mockDevices = [
-      { id: "1", name: "Living Room Lamp", room: "Living Room", primaryCapability: "switch", primaryState: "on" },
-      { id: "2", name: "Front Door", room: "Entry", primaryCapability: "contact", primaryState: "closed" },
+      { id: "1", name: "Living Room Lamp", room: "Living Room", primaryCapability: "switch", primaryState: "on", power: 42, energy: 12.4, colorTemperature: 2700 },
+      { id: "2", name: "Front Door", room: "Entry", primaryCapability: "contact", primaryState: "closed", acceleration: "active" },
       { id: "3", name: "Back Door", room: "Kitchen", primaryCapability: "contact", primaryState: "open" },
-      { id: "4", name: "Hallway Motion", room: "Hallway", primaryCapability: "motion", primaryState: "inactive" },
+      { id: "4", name: "Hallway Motion", room: "Hallway", primaryCapability: "motion", primaryState: "inactive", illuminance: 120 },
       { id: "5", name: "Living Room Motion", room: "Living Room", primaryCapability: "motion", primaryState: "active" },
       { id: "6", name: "Front Door Lock", room: "Entry", primaryCapability: "lock", primaryState: "locked" },
       { id: "7", name: "Back Door Lock", room: "Kitchen", primaryCapability: "lock", primaryState: "unlocked" },
       { id: "8", name: "Thermostat", room: "Living Room", primaryCapability: "temperature", primaryState: 72, battery: 85 },
       { id: "9", name: "Bedroom Sensor", room: "Bedroom", primaryCapability: "temperature", primaryState: 68, humidity: 45, battery: 15 },
-      { id: "10", name: "Garage Door", room: "Garage", primaryCapability: "contact", primaryState: "closed", battery: 50 }
+      {
+        id: "10",
+        name: "Garage Door",
+        room: "Garage",
+        primaryCapability: "garageDoor",
+        primaryState: "closing",
+        battery: 50,
+        capabilities: { doorControl: "closing" }
+      },
+      { id: "11", name: "Basement Leak Sensor", room: "Basement", primaryCapability: "water", primaryState: "dry", battery: 90 },
+      {
+        id: "12",
+        name: "Washer",
+        room: "Laundry",
+        primaryCapability: "washer",
+        primaryState: "run",
+        jobState: "rinse",
+        completionTime: new Date(Date.now() + 25 * 60000).toISOString()
+      },
+      {
+        id: "13",
+        name: "Living Room TV",
+        room: "Living Room",
+        primaryCapability: "media",
+        primaryState: "playing",
+        inputSource: "HDMI1",
+        volume: 18,
+        capabilities: { switch: "on" }
+      },
+      { id: "14", name: "Hallway Light", room: "Hallway", primaryCapability: "switch", primaryState: "on", level: 60, hue: 75, saturation: 80 },
+      {
+        id: "15",
+        name: "Bedroom AC",
+        room: "Bedroom",
+        primaryCapability: "airConditioner",
+        primaryState: "cool",
+        fanMode: "auto",
+        coolingSetpoint: 70,
+        filterUsage: 94,
+        capabilities: { switch: "on" }
+      },
+      { id: "16", name: "Office Presence", room: "Office", primaryCapability: "occupancy", primaryState: "occupied", illuminance: 340, uvIndex: 2 },
+      {
+        id: "17",
+        name: "Front Doorbell",
+        room: "Entry",
+        primaryCapability: "button",
+        primaryState: "pushed",
+        button: "pushed",
+        buttonAt: new Date(Date.now() - 3 * 60000).toISOString(),
+        doorbell: true,
+        battery: 70
+      }
     ];
 
+    // Kept on the instance so SEND_COMMAND can update mock state
+    instance.mockDevices = mockDevices;
+
     // Clear any existing poller
     if (instance.pollTimer) {
       clearInterval(instance.pollTimer);
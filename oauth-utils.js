@@ -3,8 +3,9 @@
  * Uses AES-256-GCM for authenticated encryption with a local key file
  * 
  * Files:
- *   oauth-key.bin  - 32-byte random encryption key (chmod 600, gitignored)
- *   oauth-data.enc - Encrypted JSON containing clientId, clientSecret, tokens
+ *   oauth-key.bin          - 32-byte random encryption key (chmod 600, gitignored)
+ *   oauth-data.enc         - Encrypted JSON containing clientId, clientSecret, tokens
+ *   oauth-data-<name>.enc  - Same, for an additional named account profile
  */
 
 const crypto = require("crypto");
@@ -20,6 +21,25 @@ const AUTH_TAG_LENGTH = 16;
 // File names
 const KEY_FILE = "oauth-key.bin";
 const DATA_FILE = "oauth-data.enc";
+const DEFAULT_ACCOUNT = "default";
+const ACCOUNT_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/i;
+
+/**
+ * Validate an account profile name
+ * @param {string} account - Account name (empty or "default" for the default account)
+ * @returns {string} Normalized account name
+ */
+function normalizeAccountName(account) {
+  if (!account || account === DEFAULT_ACCOUNT) {
+    return DEFAULT_ACCOUNT;
+  }
+
+  if (!ACCOUNT_PATTERN.test(account)) {
+    throw new Error("Invalid account name: " + account + " (use letters, numbers, - and _)");
+  }
+
+  return account;
+}
 
 /**
  * Get path to key file
@@ -33,10 +53,37 @@ function getKeyFilePath(moduleDir) {
 /**
  * Get path to encrypted data file
  * @param {string} moduleDir - Module directory path
+ * @param {string} account - Optional account name (default account uses oauth-data.enc)
  * @returns {string} Full path to data file
  */
-function getDataFilePath(moduleDir) {
-  return path.join(moduleDir, DATA_FILE);
+function getDataFilePath(moduleDir, account) {
+  const name = normalizeAccountName(account);
+  if (name === DEFAULT_ACCOUNT) {
+    return path.join(moduleDir, DATA_FILE);
+  }
+  return path.join(moduleDir, "oauth-data-" + name + ".enc");
+}
+
+/**
+ * List account profiles with saved OAuth data
+ * @param {string} moduleDir - Module directory path
+ * @returns {Array<string>} Account names ("default" first if present)
+ */
+function listAccounts(moduleDir) {
+  try {
+    return fs.readdirSync(moduleDir)
+      .map((file) => {
+        if (file === DATA_FILE) {
+          return DEFAULT_ACCOUNT;
+        }
+        const match = file.match(/^oauth-data-(.+)\.enc$/);
+        return match && ACCOUNT_PATTERN.test(match[1]) ? match[1] : null;
+      })
+      .filter(Boolean)
+      .sort((a, b) => (a === DEFAULT_ACCOUNT ? -1 : b === DEFAULT_ACCOUNT ? 1 : a.localeCompare(b)));
+  } catch (err) {
+    return [];
+  }
 }
 
 /**
@@ -138,9 +185,10 @@ function decryptData(encryptedData, key) {
  * Save OAuth data (credentials + tokens) to encrypted file
  * @param {string} moduleDir - Module directory path
  * @param {Object} data - Data object containing clientId, clientSecret, tokens, etc.
+ * @param {string} account - Optional account name (all accounts share oauth-key.bin)
  * @returns {boolean} True on success
  */
-function saveOAuthData(moduleDir, data) {
+function saveOAuthData(moduleDir, data, account) {
   try {
     const key = loadKey(moduleDir, true);
     if (!key) {
@@ -156,7 +204,7 @@ function saveOAuthData(moduleDir, data) {
       updated: new Date().toISOString()
     };
     
-    const dataPath = getDataFilePath(moduleDir);
+    const dataPath = getDataFilePath(moduleDir, account);
     fs.writeFileSync(dataPath, JSON.stringify(fileData, null, 2), { mode: 0o600 });
     return true;
   } catch (err) {
@@ -168,11 +216,12 @@ function saveOAuthData(moduleDir, data) {
 /**
  * Load OAuth data (credentials + tokens) from encrypted file
  * @param {string} moduleDir - Module directory path
+ * @param {string} account - Optional account name
  * @returns {Object|null} Data object, or null if not found or decryption fails
  */
-function loadOAuthData(moduleDir) {
+function loadOAuthData(moduleDir, account) {
   try {
-    const dataPath = getDataFilePath(moduleDir);
+    const dataPath = getDataFilePath(moduleDir, account);
     const keyPath = getKeyFilePath(moduleDir);
     
     if (!fs.existsSync(dataPath)) {
@@ -224,10 +273,11 @@ function tokensNeedRefresh(oauthData, bufferSeconds = 300) {
 /**
  * Check if OAuth data file exists
  * @param {string} moduleDir - Module directory path
+ * @param {string} account - Optional account name
  * @returns {boolean} True if data file exists
  */
-function oauthDataExists(moduleDir) {
-  const dataPath = getDataFilePath(moduleDir);
+function oauthDataExists(moduleDir, account) {
+  const dataPath = getDataFilePath(moduleDir, account);
   return fs.existsSync(dataPath);
 }
 
@@ -312,6 +362,9 @@ module.exports = {
   oauthDataExists,
   getKeyFilePath,
   getDataFilePath,
+  listAccounts,
+  normalizeAccountName,
+  DEFAULT_ACCOUNT,
   
   // Legacy API (v1) - for backward compatibility
   getTokenFilePath,
@@ -15,7 +15,9 @@
  * - SmartThings account
  * - OAuth app created via SmartThings CLI (smartthings apps:create)
  * 
- * Usage: node setup.js [--dry-run]
+ * Usage: node setup.js [--dry-run] [--account <name>]
+ *   --account stores tokens for an additional SmartThings account profile
+ *   (oauth-data-<name>.enc); reference it with `account: "<name>"` in config.js
  */
 
 const readline = require("readline");
@@ -26,7 +28,10 @@ const {
   saveOAuthData,
   loadOAuthData,
   tokensNeedRefresh,
-  getDataFilePath
+  getDataFilePath,
+  listAccounts,
+  normalizeAccountName,
+  DEFAULT_ACCOUNT
 } = require("./oauth-utils");
 
 // SmartThings OAuth endpoints
@@ -34,11 +39,12 @@ const AUTH_URL = "https://api.smartthings.com/oauth/authorize";
 const TOKEN_URL = "https://api.smartthings.com/oauth/token";
 const API_BASE = "https://api.smartthings.com/v1";
 const REDIRECT_URI = "https://httpbin.org/get";
+const MAX_PAGES = 20;  // safety cap when following _links.next
 
 // Scopes needed for device monitoring
 const SCOPES = [
   "r:devices:*",      // Read device information
-  "x:devices:*",      // Execute device commands (for future use)
+  "x:devices:*",      // Execute device commands (allowCommands)
   "r:locations:*"     // Read location information
 ].join(" ");
 
@@ -55,6 +61,7 @@ const MODULE_DIR = __dirname;
 
 // State
 let dryRun = process.argv.includes("--dry-run");
+let account = DEFAULT_ACCOUNT;
 let clientId = null;
 let clientSecret = null;
 let accessToken = null;
@@ -82,6 +89,19 @@ async function main() {
     console.log("📋 DRY RUN MODE - No files will be modified\n");
   }
 
+  try {
+    account = normalizeAccountName(parseAccountArg(process.argv.slice(2)));
+  } catch (err) {
+    console.error(`❌ ${err.message}\n`);
+    process.exit(1);
+  }
+
+  const existingAccounts = listAccounts(MODULE_DIR);
+  if (existingAccounts.length > 0) {
+    console.log(`🔑 Saved accounts: ${existingAccounts.join(", ")}`);
+  }
+  console.log(`🔑 Setting up account: ${account}\n`);
+
   rl = createReadline();
 
   try {
@@ -104,7 +124,7 @@ async function main() {
     const options = await promptForOptions();
     
     // Step 7: Generate config
-    const config = generateConfig(position, rooms, devices, options);
+    const config = generateConfig(position, location, rooms, devices, options);
     
     // Step 8: Output config
     outputConfig(config);
@@ -174,7 +194,7 @@ async function setupOAuth() {
   }
   
   // Check for existing valid OAuth data
-  const existingData = loadOAuthData(MODULE_DIR);
+  const existingData = loadOAuthData(MODULE_DIR, account);
   
   if (existingData && existingData.access_token) {
     // Check if existing data has same credentials
@@ -269,15 +289,16 @@ async function performOAuthFlow() {
     token_type: tokens.token_type || "Bearer",
     scope: tokens.scope || SCOPES,
     expiresAt: new Date(Date.now() + (tokens.expires_in || 86400) * 1000).toISOString(),
-    obtainedAt: new Date().toISOString()
+    obtainedAt: new Date().toISOString(),
+    installedAppId: tokens.installed_app_id || null  // needed for realtime subscriptions
   };
   
   // Save encrypted OAuth data
   if (!dryRun) {
     console.log("Saving encrypted OAuth data...");
-    const success = saveOAuthData(MODULE_DIR, oauthData);
+    const success = saveOAuthData(MODULE_DIR, oauthData, account);
     if (success) {
-      console.log(`✅ OAuth data saved to: ${getDataFilePath(MODULE_DIR)}`);
+      console.log(`✅ OAuth data saved to: ${getDataFilePath(MODULE_DIR, account)}`);
     } else {
       console.error("❌ Failed to save OAuth data");
     }
@@ -639,7 +660,7 @@ async function promptForOptions() {
 /**
  * Generate config object (no secrets - they're stored encrypted separately)
  */
-function generateConfig(position, rooms, devices, options) {
+function generateConfig(position, location, rooms, devices, options) {
   const config = {
     module: "MMM-STStatus",
     position: position,
@@ -654,6 +675,16 @@ function generateConfig(position, rooms, devices, options) {
     }
   };
   
+  // Non-default accounts are referenced by name; their tokens stay encrypted on disk
+  if (account !== DEFAULT_ACCOUNT) {
+    config.config.account = account;
+  }
+  
+  // Pin the chosen location so a second home doesn't change what is shown
+  if (location && location.name) {
+    config.config.location = location.name;
+  }
+  
   // If explicit devices are selected, use those
   // If no explicit devices, include rooms to fetch all devices from those rooms
   if (devices.length > 0) {
@@ -683,7 +714,7 @@ function outputConfig(config) {
   console.log("📝 Notes:");
   console.log("   • This script does NOT modify config.js automatically");
   console.log("   • Copy the above configuration and paste it manually");
-  console.log("   • OAuth credentials are stored encrypted in oauth-data.enc (not in config.js)");
+  console.log(`   • OAuth credentials are stored encrypted in ${getDataFilePath(MODULE_DIR, account)} (not in config.js)`);
   console.log("   • Tokens auto-refresh every 20 hours");
   console.log("   • Restart MagicMirror after updating config.js");
   console.log("");
@@ -770,6 +801,24 @@ function prompt(question) {
   });
 }
 
+/**
+ * Read the account name from --account <name> or --account=<name>
+ */
+function parseAccountArg(args) {
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--account") {
+      if (!args[i + 1] || args[i + 1].startsWith("--")) {
+        throw new Error("--account needs a name, e.g. --account cabin");
+      }
+      return args[i + 1];
+    }
+    if (args[i].startsWith("--account=")) {
+      return args[i].substring("--account=".length);
+    }
+  }
+  return DEFAULT_ACCOUNT;
+}
+
 /**
  * Validate UUID format
  */
@@ -798,11 +847,56 @@ function extractCapabilities(details) {
 }
 
 /**
- * Make SmartThings API request
+ * Make SmartThings API request, following _links.next on list responses
+ * so rooms and locations with many entries aren't truncated
  */
 async function apiRequest(endpoint) {
+  const response = await apiGet(API_BASE + endpoint);
+  if (!Array.isArray(response.items)) {
+    return response;
+  }
+
+  let pages = 1;
+  let next = nextPageUrl(response);
+  while (next && pages < MAX_PAGES) {
+    const page = await apiGet(next);
+    response.items.push(...(page.items || []));
+    pages++;
+    next = nextPageUrl(page);
+  }
+
+  if (next) {
+    console.log(`   ⚠️  Stopped after ${MAX_PAGES} pages of ${endpoint}`);
+  } else if (pages > 1) {
+    console.log(`   (${endpoint}: ${response.items.length} items in ${pages} pages)`);
+  }
+
+  return response;
+}
+
+/**
+ * Resolve a list response's _links.next against the API base
+ * SmartThings returns absolute or relative links, with or without the /v1 prefix;
+ * only the path and query are kept, so the token is never sent to another host.
+ */
+function nextPageUrl(response) {
+  const next = response && response._links && response._links.next;
+  if (!next || !next.href) {
+    return null;
+  }
+
+  const url = new URL(next.href, API_BASE);
+  const basePath = new URL(API_BASE).pathname.replace(/\/$/, "");
+  const pathname = url.pathname.startsWith(basePath + "/") ? url.pathname.substring(basePath.length) : url.pathname;
+  return API_BASE + pathname + url.search;
+}
+
+/**
+ * GET a single SmartThings API URL
+ */
+async function apiGet(href) {
   return new Promise((resolve, reject) => {
-    const url = new URL(API_BASE + endpoint);
+    const url = new URL(href);
     
     const options = {
       hostname: url.hostname,
@@ -4,10 +4,11 @@ const fs = require("fs");
 const path = require("path");
 const vm = require("vm");
 const { loadOAuthData, saveOAuthData, tokensNeedRefresh } = require("./oauth-utils");
+const { createRegistry, applyCapabilities } = require("./capability-registry");
 
 const MODULE_DIR = __dirname;
-const API_BASE = "https://api.smartthings.com/v1";
-const TOKEN_URL = "https://api.smartthings.com/oauth/token";
+const API_BASE = process.env.STSTATUS_API_BASE || "https://api.smartthings.com/v1";
+const TOKEN_URL = process.env.STSTATUS_TOKEN_URL || "https://api.smartthings.com/oauth/token";
 const DEFAULT_MM_CONFIG = path.resolve(MODULE_DIR, "../../config/config.js");
 const CACHE_FILE = path.join(MODULE_DIR, ".cache.json");
 
@@ -16,6 +17,7 @@ function parseArgs(argv) {
     all: false,
     raw: false,
     debug: false,
+    account: null,
     configPath: DEFAULT_MM_CONFIG
   };
 
@@ -30,6 +32,8 @@ function parseArgs(argv) {
       options.debug = true;
     } else if (arg === "--config" && argv[i + 1]) {
       options.configPath = path.resolve(argv[++i]);
+    } else if (arg === "--account" && argv[i + 1]) {
+      options.account = argv[++i];
     } else if (arg === "--help" || arg === "-h") {
       printHelp();
       process.exit(0);
@@ -42,7 +46,7 @@ function parseArgs(argv) {
 }
 
 function printHelp() {
-  console.log("Usage: node test-smartthings.js [--all] [--raw] [--debug] [--config /path/to/config.js]");
+  console.log("Usage: node test-smartthings.js [--all] [--raw] [--debug] [--account name] [--config /path/to/config.js]");
   console.log("");
   console.log("Checks SmartThings API connectivity and prints current device status.");
   console.log("");
@@ -50,6 +54,7 @@ function printHelp() {
   console.log("  --all      Ignore MagicMirror config and fetch all devices from SmartThings");
   console.log("  --raw      Print normalized JSON instead of the text summary");
   console.log("  --debug    Print extra request and discovery details");
+  console.log("  --account  Use tokens saved with node setup.js --account <name>");
   console.log("  --config   Path to MagicMirror config.js (default: ../../config/config.js)");
 }
 
@@ -82,17 +87,22 @@ function loadMagicMirrorConfig(configPath) {
   return context.module.exports || null;
 }
 
-function getModuleDeviceConfig(mmConfig) {
+function getModuleConfig(mmConfig) {
   if (!mmConfig || !Array.isArray(mmConfig.modules)) {
-    return [];
+    return {};
   }
 
   const mod = mmConfig.modules.find((entry) => entry && entry.module === "MMM-STStatus");
-  if (!mod || !mod.config || !Array.isArray(mod.config.devices)) {
+  return mod && mod.config ? mod.config : {};
+}
+
+function getModuleDeviceConfig(mmConfig) {
+  const moduleConfig = getModuleConfig(mmConfig);
+  if (!Array.isArray(moduleConfig.devices)) {
     return [];
   }
 
-  return mod.config.devices
+  return moduleConfig.devices
     .filter((device) => device && device.id)
     .map((device) => ({
       id: device.id,
@@ -128,11 +138,7 @@ function loadExistingCache() {
 }
 
 function updateCache(mmConfig, configuredDevices, successfulStatuses) {
-  const stModule =
-    mmConfig && Array.isArray(mmConfig.modules)
-      ? mmConfig.modules.find((entry) => entry && entry.module === "MMM-STStatus")
-      : null;
-  const moduleConfig = stModule && stModule.config ? stModule.config : {};
+  const moduleConfig = getModuleConfig(mmConfig);
   const existing = loadExistingCache() || {};
 
   const nextCache = {
@@ -148,7 +154,7 @@ function updateCache(mmConfig, configuredDevices, successfulStatuses) {
   return nextCache;
 }
 
-async function refreshTokensIfNeeded(oauthData, debug) {
+async function refreshTokensIfNeeded(oauthData, debug, account) {
   if (!tokensNeedRefresh(oauthData, 600)) {
     return oauthData;
   }
@@ -190,7 +196,7 @@ async function refreshTokensIfNeeded(oauthData, debug) {
     obtainedAt: new Date().toISOString()
   };
 
-  if (!saveOAuthData(MODULE_DIR, updated)) {
+  if (!saveOAuthData(MODULE_DIR, updated, account)) {
     throw new Error("Failed to persist refreshed OAuth data");
   }
 
@@ -228,32 +234,7 @@ async function fetchAllDevices(accessToken, debug) {
   }));
 }
 
-function normalizeCapabilityName(capability) {
-  const mapping = {
-    temperatureMeasurement: "temperature",
-    relativeHumidityMeasurement: "humidity",
-    contactSensor: "contact",
-    motionSensor: "motion",
-    presenceSensor: "presence",
-    windowShade: "blinds",
-    windowShadeLevel: "blinds",
-    switchLevel: "level"
-  };
-
-  return mapping[capability] || capability;
-}
-
-function extractState(capabilityData) {
-  for (const attr in capabilityData) {
-    if (capabilityData[attr] && capabilityData[attr].value !== undefined) {
-      return capabilityData[attr].value;
-    }
-  }
-
-  return null;
-}
-
-function normalizeDevice(device, status) {
+function normalizeDevice(device, status, handlers) {
   const normalized = {
     id: device.id,
     name: device.name,
@@ -263,103 +244,7 @@ function normalizeDevice(device, status) {
     capabilities: {}
   };
 
-  if (!status || !status.components || !status.components.main) {
-    return normalized;
-  }
-
-  const main = status.components.main;
-  const capabilityPriority = [
-    "switch",
-    "contactSensor",
-    "contact",
-    "motionSensor",
-    "motion",
-    "lock",
-    "presenceSensor",
-    "presence",
-    "windowShade",
-    "temperatureMeasurement",
-    "battery"
-  ];
-
-  for (const capability of capabilityPriority) {
-    if (!main[capability]) {
-      continue;
-    }
-
-    normalized.primaryCapability = normalizeCapabilityName(capability);
-
-    if (capability === "lock" && main.lock && main.lock.lock) {
-      normalized.primaryState = main.lock.lock.value;
-    } else if (capability === "windowShade" || capability === "windowShadeLevel") {
-      normalized.primaryState =
-        main.windowShade?.shadeLevel?.value ??
-        main.windowShadeLevel?.shadeLevel?.value ??
-        main.switchLevel?.level?.value ??
-        extractState(main[capability]);
-    } else {
-      normalized.primaryState = extractState(main[capability]);
-    }
-
-    break;
-  }
-
-  if (main.battery?.battery?.value !== undefined) {
-    normalized.battery = main.battery.battery.value;
-    normalized.capabilities.battery = normalized.battery;
-  }
-
-  if (main.temperatureMeasurement?.temperature?.value !== undefined) {
-    normalized.temperature = main.temperatureMeasurement.temperature.value;
-    normalized.capabilities.temperature = normalized.temperature;
-  } else if (main.thermostatTemperature?.temperature?.value !== undefined) {
-    normalized.temperature = main.thermostatTemperature.temperature.value;
-    normalized.capabilities.temperature = normalized.temperature;
-  }
-
-  if (normalized.primaryCapability === "temperature" && normalized.primaryState == null) {
-    normalized.primaryState = normalized.temperature ?? null;
-  }
-
-  if (main.relativeHumidityMeasurement?.humidity?.value !== undefined) {
-    normalized.humidity = main.relativeHumidityMeasurement.humidity.value;
-    normalized.capabilities.humidity = normalized.humidity;
-  }
-
-  if (main.thermostatOperatingState?.thermostatOperatingState?.value) {
-    normalized.capabilities.thermostatOperatingState =
-      main.thermostatOperatingState.thermostatOperatingState.value;
-  } else if (main.thermostatOperatingState?.operatingState?.value) {
-    normalized.capabilities.thermostatOperatingState =
-      main.thermostatOperatingState.operatingState.value;
-  }
-
-  if (main.thermostatMode?.thermostatMode?.value) {
-    normalized.capabilities.thermostatMode = main.thermostatMode.thermostatMode.value;
-  }
-
-  if (main.thermostatHeatingSetpoint?.heatingSetpoint?.value !== undefined) {
-    normalized.heatingSetpoint = main.thermostatHeatingSetpoint.heatingSetpoint.value;
-    normalized.capabilities.heatingSetpoint = normalized.heatingSetpoint;
-  }
-
-  if (main.thermostatCoolingSetpoint?.coolingSetpoint?.value !== undefined) {
-    normalized.coolingSetpoint = main.thermostatCoolingSetpoint.coolingSetpoint.value;
-    normalized.capabilities.coolingSetpoint = normalized.coolingSetpoint;
-  }
-
-  if (main.windowShade?.shadeLevel?.value !== undefined) {
-    normalized.level = main.windowShade.shadeLevel.value;
-    normalized.capabilities.level = normalized.level;
-  } else if (main.windowShadeLevel?.shadeLevel?.value !== undefined) {
-    normalized.level = main.windowShadeLevel.shadeLevel.value;
-    normalized.capabilities.level = normalized.level;
-  } else if (main.switchLevel?.level?.value !== undefined) {
-    normalized.level = main.switchLevel.level.value;
-    normalized.capabilities.level = normalized.level;
-  }
-
-  return normalized;
+  return applyCapabilities(normalized, status, handlers);
 }
 
 function formatStatus(device) {
@@ -411,17 +296,19 @@ function formatStatus(device) {
 
 async function main() {
   const options = parseArgs(process.argv.slice(2));
-  const oauthData = loadOAuthData(MODULE_DIR);
+  const oauthData = loadOAuthData(MODULE_DIR, options.account);
 
   if (!oauthData) {
-    throw new Error("No OAuth data found. Run node setup.js first.");
+    throw new Error(options.account
+      ? `No OAuth data for account "${options.account}". Run node setup.js --account ${options.account} first.`
+      : "No OAuth data found. Run node setup.js first.");
   }
 
   if (!oauthData.clientId || !oauthData.clientSecret || !oauthData.access_token) {
     throw new Error("OAuth data is incomplete. Run node setup.js again.");
   }
 
-  const activeOAuth = await refreshTokensIfNeeded(oauthData, options.debug);
+  const activeOAuth = await refreshTokensIfNeeded(oauthData, options.debug, options.account);
   const mmConfig = !options.all ? loadMagicMirrorConfig(options.configPath) : null;
   let devices = [];
 
@@ -435,12 +322,16 @@ async function main() {
     logDebug(options.debug, `Discovered ${devices.length} devices from SmartThings`);
   }
 
+  // Same handlers (and config overrides) the node helper uses
+  const registry = createRegistry(getModuleConfig(mmConfig).capabilityHandlers);
+  registry.problems.forEach((problem) => console.warn(`WARNING: Ignoring ${problem}`));
+
   const results = [];
 
   for (const device of devices) {
     try {
       const status = await apiRequest(activeOAuth.access_token, `/devices/${device.id}/status`, options.debug);
-      results.push(normalizeDevice(device, status));
+      results.push(normalizeDevice(device, status, registry.handlers));
     } catch (error) {
       results.push({
         id: device.id,
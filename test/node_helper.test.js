@@ -0,0 +1,1498 @@
+/* node_helper.test.js
+ * End-to-end tests for node_helper.js against the local SmartThings stand-in
+ * Run with: npm test
+ */
+
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const { loadOAuthData } = require("../oauth-utils");
+const { createMockServer } = require("./support/mock-smartthings");
+const { createHelper, createConfig, sentPayloads, disposeHelper } = require("./support/helper-harness");
+
+describe("node_helper", () => {
+  let mock;
+  let helper;
+
+  beforeEach(async () => {
+    mock = await createMockServer().start();
+    helper = createHelper(mock);
+  });
+
+  afterEach(async () => {
+    disposeHelper(helper);
+    await mock.stop();
+  });
+
+  describe("initialize", () => {
+    it("resolves room devices and sends normalized device data", async () => {
+      const instance = helper.getInstance("module_0");
+      instance.config = createConfig({ identifier: "module_0", rooms: ["Living Room", "Entry"] });
+
+      await helper.initialize(instance);
+
+      const data = sentPayloads(helper, "DEVICE_DATA");
+      assert.equal(data.length, 1);
+      assert.equal(data[0].identifier, "module_0");
+
+      const byId = Object.fromEntries(data[0].devices.map((device) => [device.id, device]));
+      assert.deepEqual(Object.keys(byId).sort(), ["dev-front-door", "dev-front-lock", "dev-lamp", "dev-thermostat"]);
+      assert.equal(byId["dev-lamp"].primaryCapability, "switch");
+      assert.equal(byId["dev-lamp"].primaryState, "on");
+      assert.equal(byId["dev-lamp"].level, 75);
+      assert.equal(byId["dev-lamp"].room, "Living Room");
+      assert.equal(byId["dev-front-lock"].primaryState, "locked");
+      assert.equal(byId["dev-front-door"].battery, 88);
+      assert.equal(byId["dev-thermostat"].temperature, 71);
+      assert.equal(byId["dev-thermostat"].capabilities.thermostatOperatingState, "heating");
+
+      assert.ok(instance.pollTimer, "polling should start after the first fetch");
+    });
+
+    it("uses only explicitly configured devices when present", async () => {
+      const instance = helper.getInstance("module_0");
+      instance.config = createConfig({
+        identifier: "module_0",
+        devices: [{ id: "dev-garage-shade", name: "Shade", room: "Garage" }],
+        rooms: ["Living Room"]
+      });
+
+      await helper.initialize(instance);
+
+      const [data] = sentPayloads(helper, "DEVICE_DATA");
+      assert.equal(data.devices.length, 1);
+      assert.equal(data.devices[0].primaryCapability, "blinds");
+      assert.equal(data.devices[0].primaryState, 40);
+      assert.deepEqual([data.devices[0].locationId, data.devices[0].location], ["loc-home", "Home"],
+        "the location is looked up for entries that don't give one");
+      assert.equal(mock.countRequests("GET", "/v1/locations/"), 0, "no room listings");
+    });
+
+    it("writes the cache and replays it on the next start", async () => {
+      const instance = helper.getInstance("module_0");
+      instance.config = createConfig({ identifier: "module_0", rooms: ["Entry"] });
+
+      await helper.initialize(instance);
+      assert.ok(fs.existsSync(instance.cacheFile));
+
+      helper.stop();
+      helper.sent = [];
+      instance.deviceList = [];
+      instance.cache = null;
+
+      await helper.initialize(instance);
+
+      const data = sentPayloads(helper, "DEVICE_DATA");
+      assert.equal(data.length, 2, "cached data first, then live data");
+      assert.equal(data[0].devices.length, 2);
+    });
+
+    it("reports an error when no OAuth data exists", async () => {
+      disposeHelper(helper);
+      helper = createHelper(mock, { oauth: false });
+
+      const instance = helper.getInstance("module_0");
+      instance.config = createConfig({ identifier: "module_0", rooms: ["Entry"] });
+
+      await helper.initialize(instance);
+
+      const [error] = sentPayloads(helper, "ERROR");
+      assert.match(error.message, /No OAuth data found/);
+      assert.equal(mock.requests.length, 0);
+    });
+  });
+
+  describe("resolveDevices", () => {
+    it("only includes devices from configured rooms", async () => {
+      const instance = helper.getInstance("module_0");
+      instance.config = createConfig({ identifier: "module_0", rooms: ["Garage"] });
+      await helper.initializeAuth(instance);
+
+      await helper.resolveDevices(instance);
+
+      assert.deepEqual(instance.deviceList, [
+        { id: "dev-garage-shade", name: "Garage Shade", room: "Garage", locationId: "loc-home", location: "Home", category: null }
+      ]);
+      assert.deepEqual(instance.locations, [{ locationId: "loc-home", name: "Home" }]);
+    });
+
+    it("detects doorbells in rooms from their SmartThings category", async () => {
+      mock.fixture.devices.push({
+        deviceId: "dev-doorbell",
+        name: "zigbee-button",
+        label: "Front Doorbell",
+        locationId: "loc-home",
+        roomId: "room-entry",
+        components: [{ id: "main", categories: [{ name: "Doorbell", categoryType: "manufacturer" }] }]
+      });
+      mock.fixture.statuses["dev-doorbell"] = { components: { main: { button: { button: { value: "pushed" } } } } };
+      const instance = helper.getInstance("module_0");
+      instance.config = createConfig({ identifier: "module_0", rooms: ["Entry"], healthInterval: 0 });
+      await helper.initializeAuth(instance);
+
+      await helper.fetchDevices(instance);
+
+      assert.equal(instance.deviceList.find((device) => device.id === "dev-doorbell").category, "Doorbell");
+      const [data] = sentPayloads(helper, "DEVICE_DATA");
+      assert.equal(data.devices.find((device) => device.id === "dev-doorbell").doorbell, true);
+      assert.equal(data.devices.find((device) => device.id === "dev-front-lock").doorbell, undefined);
+    });
+
+    it("fails when the account has no locations", async () => {
+      mock.fixture.locations = [];
+      const instance = helper.getInstance("module_0");
+      instance.config = createConfig({ identifier: "module_0", rooms: ["Garage"] });
+      await helper.initializeAuth(instance);
+
+      await assert.rejects(helper.resolveDevices(instance), /No SmartThings locations found/);
+    });
+  });
+
+  describe("accounts", () => {
+    const { saveOAuthData } = require("../oauth-utils");
+    let home;
+    let cabin;
+
+    beforeEach(async () => {
+      mock.addAccount("cabin");
+      saveOAuthData(helper.DATA_DIR, mock.oauthData("cabin"), "cabin");
+
+      home = helper.getInstance("module_0");
+      home.config = createConfig({ identifier: "module_0", rooms: ["Living Room"] });
+      cabin = helper.getInstance("module_1");
+      cabin.config = createConfig({ identifier: "module_1", rooms: ["Entry"], account: "cabin" });
+
+      assert.equal(await helper.initializeAuth(home), true);
+      assert.equal(await helper.initializeAuth(cabin), true);
+    });
+
+    it("uses each account's own tokens and rate limit counters", async () => {
+      await helper.fetchDevices(home);
+      await helper.fetchDevices(cabin);
+
+      const authorizations = (prefix) => new Set(mock.requests
+        .filter((request) => request.path.startsWith(prefix))
+        .map((request) => request.authorization));
+      assert.deepEqual([...authorizations("/v1/locations/loc-home/rooms/room-living")], ["Bearer access-1"]);
+      assert.deepEqual([...authorizations("/v1/locations/loc-home/rooms/room-entry")], ["Bearer cabin-access-1"]);
+
+      assert.equal(helper.getAccount().requestCount, home.cycleRequests + 3);
+      assert.equal(helper.getAccount("cabin").requestCount, cabin.cycleRequests + 3);
+      assert.notEqual(helper.getAccount().tokenRefreshTimer, helper.getAccount("cabin").tokenRefreshTimer);
+    });
+
+    it("refreshes accounts independently, deduplicating per account", async () => {
+      helper.getAccount().oauthData.expiresAt = new Date(Date.now() - 1000).toISOString();
+      helper.getAccount("cabin").oauthData.expiresAt = new Date(Date.now() - 1000).toISOString();
+
+      const results = await Promise.all([
+        helper.refreshTokens(home),
+        helper.refreshTokens(home),
+        helper.refreshTokens(cabin)
+      ]);
+
+      assert.deepEqual(results, [true, true, true]);
+      assert.equal(mock.countRequests("POST", "/oauth/token"), 2);
+      assert.equal(loadOAuthData(helper.DATA_DIR).access_token, mock.accessToken);
+      assert.equal(loadOAuthData(helper.DATA_DIR, "cabin").access_token, mock.accounts.cabin.accessToken);
+      assert.equal(mock.accounts.cabin.accessToken, "cabin-access-2");
+    });
+
+    it("keeps other accounts running when one refresh token is revoked", async () => {
+      mock.accounts.cabin.accessToken = "cabin-expired";
+      mock.accounts.cabin.refreshToken = "cabin-revoked";
+
+      await helper.fetchDevices(cabin);
+      await helper.fetchDevices(home);
+
+      assert.equal(cabin.authFailed, true);
+      assert.equal(home.authFailed, false);
+      assert.equal(sentPayloads(helper, "DEVICE_DATA").filter((payload) => payload.identifier === "module_0").length, 1);
+    });
+
+    it("rejects invalid account names in SET_CONFIG without breaking other refreshes", async () => {
+      helper.socketNotificationReceived("SET_CONFIG", createConfig({ identifier: "module_2", rooms: ["Entry"], account: "bad name!" }));
+
+      const [error] = sentPayloads(helper, "ERROR");
+      assert.match(error.message, /Invalid account name: bad name!/);
+      assert.equal(error.identifier, "module_2");
+      assert.equal(helper.getInstance("module_2").config, null);
+
+      // Even if a bad account slips onto an instance, recovery must skip it
+      helper.getInstance("module_3").config = createConfig({ identifier: "module_3", rooms: ["Entry"], account: "bad name!" });
+      helper.getAccount().oauthData.expiresAt = new Date(Date.now() - 1000).toISOString();
+
+      assert.equal(await helper.refreshTokens(home, { force: true }), true);
+      assert.equal(loadOAuthData(helper.DATA_DIR).access_token, mock.accessToken);
+    });
+
+    it("asks for setup when an account has no saved OAuth data", async () => {
+      const beach = helper.getInstance("module_2");
+      beach.config = createConfig({ identifier: "module_2", rooms: ["Entry"], account: "beach" });
+
+      assert.equal(await helper.initializeAuth(beach), false);
+      const [error] = sentPayloads(helper, "ERROR");
+      assert.equal(error.message, "No OAuth data for account \"beach\". Please run: node setup.js --account beach");
+    });
+  });
+
+  describe("locations", () => {
+    let instance;
+
+    beforeEach(async () => {
+      const fixture = mock.fixture;
+      fixture.locations.push({ locationId: "loc-cabin", name: "Lake Cabin" });
+      fixture.rooms.push({ roomId: "room-cabin-living", locationId: "loc-cabin", name: "Living Room" });
+      fixture.devices.push({
+        deviceId: "dev-cabin-lamp", name: "c2c-switch", label: "Cabin Lamp", locationId: "loc-cabin", roomId: "room-cabin-living"
+      });
+      fixture.statuses["dev-cabin-lamp"] = { components: { main: { switch: { switch: { value: "off" } } } } };
+
+      instance = helper.getInstance("module_0");
+      await helper.initializeAuth(instance);
+    });
+
+    it("uses the first location when none is configured", async () => {
+      instance.config = createConfig({ identifier: "module_0", rooms: ["Living Room"] });
+
+      await helper.resolveDevices(instance);
+
+      assert.deepEqual(instance.deviceList.map((device) => device.id), ["dev-lamp", "dev-thermostat"]);
+    });
+
+    it("selects a location by name or ID", async () => {
+      instance.config = createConfig({ identifier: "module_0", rooms: ["Living Room"], location: "lake cabin" });
+      await helper.resolveDevices(instance);
+      assert.deepEqual(instance.deviceList.map((device) => device.id), ["dev-cabin-lamp"]);
+
+      instance.locations = [];
+      instance.config = createConfig({ identifier: "module_0", rooms: ["Living Room"], location: "loc-cabin" });
+      await helper.resolveDevices(instance);
+      assert.deepEqual(instance.deviceList.map((device) => device.id), ["dev-cabin-lamp"]);
+    });
+
+    it("combines rooms from several locations and labels each device", async () => {
+      instance.config = createConfig({ identifier: "module_0", rooms: ["Living Room"], location: ["Home", "Lake Cabin"] });
+
+      await helper.fetchDevices(instance);
+
+      const [data] = sentPayloads(helper, "DEVICE_DATA");
+      assert.deepEqual(data.devices.map((device) => [device.id, device.locationId, device.location]), [
+        ["dev-lamp", "loc-home", "Home"],
+        ["dev-thermostat", "loc-home", "Home"],
+        ["dev-cabin-lamp", "loc-cabin", "Lake Cabin"]
+      ]);
+      assert.deepEqual(
+        mock.requests.filter((request) => request.path === "/v1/devices").map((request) => request.query),
+        ["?includeStatus=true&locationId=loc-home", "?includeStatus=true&locationId=loc-cabin"]
+      );
+    });
+
+    it("reports the available locations when the configured one is missing", async () => {
+      instance.config = createConfig({ identifier: "module_0", rooms: ["Living Room"], location: "Beach House" });
+
+      await assert.rejects(helper.resolveDevices(instance),
+        /SmartThings location not found: Beach House \(available: Home, Lake Cabin\)/);
+    });
+  });
+
+  describe("pagination", () => {
+    let instance;
+
+    beforeEach(async () => {
+      mock.pageSize = 1;
+      instance = helper.getInstance("module_0");
+      instance.config = createConfig({ identifier: "module_0", rooms: ["Living Room", "Entry", "Garage"] });
+      await helper.initializeAuth(instance);
+    });
+
+    it("follows _links.next for rooms and room devices", async () => {
+      await helper.resolveDevices(instance);
+
+      assert.equal(instance.deviceList.length, 5);
+      assert.equal(mock.countRequests("GET", "/v1/locations/loc-home/rooms"), 3 + 5);
+      assert.deepEqual(
+        mock.requests.filter((request) => request.path === "/v1/locations/loc-home/rooms").map((request) => request.query),
+        ["", "?page=1", "?page=2"]
+      );
+    });
+
+    it("stops at the page cap", async () => {
+      helper.MAX_PAGES = 2;
+
+      await helper.resolveDevices(instance);
+
+      // Only the first two rooms are listed; each has at most two devices
+      assert.deepEqual(instance.deviceList.map((device) => device.room),
+        ["Living Room", "Living Room", "Entry", "Entry"]);
+    });
+
+    it("resolves next links with or without the API version prefix", () => {
+      const base = helper.API_BASE;
+      const origin = new URL(base).origin;
+
+      assert.equal(helper.nextPageEndpoint({ _links: { next: { href: base + "/devices?page=2" } } }), "/devices?page=2");
+      assert.equal(helper.nextPageEndpoint({ _links: { next: { href: origin + "/devices?page=2" } } }), "/devices?page=2");
+      assert.equal(helper.nextPageEndpoint({ _links: {} }), null);
+    });
+  });
+
+  describe("fetchDevices", () => {
+    let instance;
+
+    beforeEach(async () => {
+      instance = helper.getInstance("module_0");
+      // Health checks have their own suite; keep request counts here about status calls
+      instance.config = createConfig({ identifier: "module_0", rooms: ["Living Room"], healthInterval: 0 });
+      await helper.initializeAuth(instance);
+    });
+
+    it("refreshes the token after a 401 and retries the request", async () => {
+      mock.expireAccessToken();
+
+      await helper.fetchDevices(instance);
+
+      assert.equal(mock.countRequests("POST", "/oauth/token"), 1);
+      assert.equal(instance.authFailed, false);
+      assert.equal(helper.getAccount().oauthData.access_token, mock.accessToken);
+      assert.equal(loadOAuthData(helper.DATA_DIR).refresh_token, mock.refreshToken);
+
+      const [data] = sentPayloads(helper, "DEVICE_DATA");
+      assert.equal(data.devices.length, 2);
+    });
+
+    it("retries with tokens another process already rotated on disk", async () => {
+      const { saveOAuthData } = require("../oauth-utils");
+      mock.rotateTokens();
+      saveOAuthData(helper.DATA_DIR, Object.assign(mock.oauthData(), {
+        obtainedAt: new Date(Date.now() + 1000).toISOString()
+      }));
+
+      await helper.fetchDevices(instance);
+
+      assert.equal(mock.countRequests("POST", "/oauth/token"), 0);
+      assert.equal(helper.getAccount().oauthData.access_token, mock.accessToken);
+      assert.equal(sentPayloads(helper, "DEVICE_DATA").length, 1);
+    });
+
+    it("stops and alerts when the refresh token is revoked (invalid_grant)", async () => {
+      mock.expireAccessToken();
+      mock.revokeRefreshToken();
+
+      await helper.fetchDevices(instance);
+
+      assert.equal(instance.authFailed, true);
+      assert.equal(instance.pollTimer, null);
+      assert.deepEqual(instance.currentAlert, { type: "auth", messageKey: "ALERT_AUTH" });
+
+      const errors = sentPayloads(helper, "ERROR").map((payload) => payload.message);
+      assert.ok(errors.includes("OAuth refresh token invalid. Please re-run setup.js"));
+      assert.equal(sentPayloads(helper, "DEVICE_DATA").length, 0);
+      assert.equal(mock.countRequests("POST", "/oauth/token"), 1);
+    });
+
+    it("fetches all statuses with one bulk listing per location", async () => {
+      await helper.resolveDevices(instance);
+      const listingCalls = mock.countRequests("GET", "/v1/devices");
+
+      await helper.fetchDevices(instance);
+
+      assert.equal(mock.countRequests("GET", "/v1/devices") - listingCalls, 1);
+      assert.equal(instance.cycleRequests, 1);
+      const listing = mock.requests.filter((request) => request.path === "/v1/devices").pop();
+      assert.equal(listing.query, "?includeStatus=true&locationId=loc-home");
+
+      const [data] = sentPayloads(helper, "DEVICE_DATA");
+      assert.equal(data.devices.find((device) => device.id === "dev-lamp").primaryState, "on");
+      assert.equal(data.devices.find((device) => device.id === "dev-thermostat").temperature, 71);
+    });
+
+    it("counts requests in a rolling one-minute window", async () => {
+      await helper.fetchDevices(instance);
+      const account = helper.getAccount();
+      assert.ok(account.requestCount > 0);
+
+      account.requestResetTime = Date.now() - 1;
+      await helper.fetchDevices(instance);
+
+      assert.equal(account.requestCount, 1);
+    });
+
+    it("follows bulk listing pages", async () => {
+      mock.pageSize = 2;
+      await helper.resolveDevices(instance);
+
+      await helper.fetchDevices(instance);
+
+      assert.equal(mock.countRequests("GET", "/v1/devices"), 3);
+      assert.equal(mock.countRequests("GET", "/v1/devices/"), 0);
+      assert.equal(sentPayloads(helper, "DEVICE_DATA")[0].devices.length, 2);
+    });
+
+    it("fetches devices missing from the bulk listing individually", async () => {
+      await helper.resolveDevices(instance);
+      mock.fixture.devices = mock.fixture.devices.filter((device) => device.deviceId !== "dev-thermostat");
+
+      await helper.fetchDevices(instance);
+
+      assert.equal(mock.countRequests("GET", "/v1/devices/dev-thermostat/status"), 1);
+      assert.equal(mock.countRequests("GET", "/v1/devices/dev-lamp/status"), 0);
+      assert.equal(instance.cycleRequests, 2);
+      assert.equal(sentPayloads(helper, "DEVICE_DATA")[0].devices.length, 2);
+    });
+
+    it("falls back to per-device status when the bulk listing fails", async () => {
+      await helper.resolveDevices(instance);
+      mock.failNext("GET", "/v1/devices", 500);
+
+      await helper.fetchDevices(instance);
+
+      assert.equal(mock.countRequests("GET", "/v1/devices/"), 2);
+      assert.equal(sentPayloads(helper, "DEVICE_DATA")[0].devices.length, 2);
+    });
+
+    it("limits concurrent status requests and sends partial results", async () => {
+      instance.config = createConfig({
+        identifier: "module_0",
+        rooms: ["Living Room", "Entry", "Garage"],
+        bulkStatus: false,
+        statusConcurrency: 2
+      });
+      await helper.resolveDevices(instance);
+      mock.setLatency("GET", /^\/v1\/devices\/.*\/status$/, 20);
+      mock.maxInFlight = 0;
+
+      await helper.fetchDevices(instance);
+
+      assert.equal(mock.maxInFlight, 2);
+      const data = sentPayloads(helper, "DEVICE_DATA");
+      assert.deepEqual(data.map((payload) => payload.partial === true), [true, true, false]);
+      assert.deepEqual(data.map((payload) => payload.devices.length), [2, 4, 5]);
+      assert.deepEqual(data[2].devices.map((device) => device.id),
+        ["dev-lamp", "dev-thermostat", "dev-front-door", "dev-front-lock", "dev-garage-shade"]);
+    });
+
+    it("isolates a failing device from the rest of the pool", async () => {
+      instance.config.bulkStatus = false;
+      await helper.resolveDevices(instance);
+      mock.failNext("GET", "/v1/devices/dev-lamp/status", 404);
+
+      await helper.fetchDevices(instance);
+
+      const [data] = sentPayloads(helper, "DEVICE_DATA");
+      assert.deepEqual(data.devices.map((device) => device.id), ["dev-thermostat"]);
+    });
+
+    it("backs off after a 429 and resets the backoff on success", async () => {
+      instance.config.bulkStatus = false;
+      instance.config.statusConcurrency = 1;
+      await helper.resolveDevices(instance);
+      mock.failNext("GET", "/v1/devices/dev-lamp/status", 429);
+
+      await helper.fetchDevices(instance);
+
+      assert.equal(helper.getAccount().backoffDelay, 0, "later successful request resets the backoff");
+      assert.deepEqual(helper.delays, [1000]);
+
+      const [data] = sentPayloads(helper, "DEVICE_DATA");
+      assert.deepEqual(data.devices.map((device) => device.id), ["dev-thermostat"]);
+    });
+
+    it("doubles the backoff on repeated 429s", async () => {
+      instance.config.bulkStatus = false;
+      instance.config.statusConcurrency = 1;
+      mock.failNext("GET", /^\/v1\/devices\/.*\/status$/, 429, null, 2);
+      await helper.resolveDevices(instance);
+
+      await helper.fetchDevices(instance);
+
+      assert.deepEqual(helper.delays, [1000]);
+      assert.equal(helper.getAccount().backoffDelay, 2000);
+    });
+
+    it("deduplicates concurrent token refreshes", async () => {
+      helper.getAccount().oauthData.expiresAt = new Date(Date.now() - 1000).toISOString();
+
+      const results = await Promise.all([
+        helper.refreshTokens(instance),
+        helper.refreshTokens(instance)
+      ]);
+
+      assert.deepEqual(results, [true, true]);
+      assert.equal(mock.countRequests("POST", "/oauth/token"), 1);
+    });
+  });
+
+  describe("device health", () => {
+    let instance;
+
+    beforeEach(async () => {
+      instance = helper.getInstance("module_0");
+      instance.config = createConfig({ identifier: "module_0", rooms: ["Entry"] });
+      await helper.initializeAuth(instance);
+    });
+
+    it("adds health to normalized devices", async () => {
+      mock.fixture.health["dev-front-door"] = { state: "OFFLINE", lastUpdatedDate: "2026-01-02T03:04:05.000Z" };
+
+      await helper.fetchDevices(instance);
+
+      const [data] = sentPayloads(helper, "DEVICE_DATA");
+      const door = data.devices.find((device) => device.id === "dev-front-door");
+      const lock = data.devices.find((device) => device.id === "dev-front-lock");
+      assert.equal(door.health, "offline");
+      assert.equal(door.healthUpdatedAt, "2026-01-02T03:04:05.000Z");
+      assert.equal(door.primaryState, "closed", "last known state is still reported");
+      assert.equal(lock.health, "online");
+    });
+
+    it("checks health on its own slower cadence", async () => {
+      await helper.fetchDevices(instance);
+      await helper.fetchDevices(instance);
+      assert.equal(mock.countRequests("GET", "/v1/devices/dev-front-door/health"), 1);
+
+      mock.fixture.health["dev-front-door"] = { state: "OFFLINE", lastUpdatedDate: "2026-01-02T03:04:05.000Z" };
+      instance.lastHealthCheck = Date.now() - 300000;
+      await helper.fetchDevices(instance);
+
+      assert.equal(mock.countRequests("GET", "/v1/devices/dev-front-door/health"), 2);
+      const data = sentPayloads(helper, "DEVICE_DATA").pop();
+      assert.equal(data.devices.find((device) => device.id === "dev-front-door").health, "offline");
+    });
+
+    it("keeps the last known health when a health request fails", async () => {
+      await helper.fetchDevices(instance);
+      mock.failNext("GET", "/v1/devices/dev-front-lock/health", 404);
+      instance.lastHealthCheck = 0;
+
+      await helper.fetchDevices(instance);
+
+      const data = sentPayloads(helper, "DEVICE_DATA").pop();
+      assert.equal(data.devices.length, 2);
+      assert.equal(data.devices.find((device) => device.id === "dev-front-lock").health, "online");
+    });
+
+    it("counts health checks in the poll and waits at the rate limit", async () => {
+      const account = helper.getAccount();
+      account.requestCount = helper.RATE_LIMIT;
+      account.requestResetTime = Date.now() + 60000;
+
+      const messages = [];
+      helper.log = (message) => messages.push(message);
+
+      await helper.fetchDevices(instance);
+
+      assert.equal(helper.delays.filter((ms) => ms === 1000).length, 2, "one wait per health request");
+      assert.equal(mock.countRequests("GET", "/v1/devices/dev-front-door/health"), 1);
+      assert.ok(messages.some((message) => /^Poll cycle: 2 devices, \d+ API requests \(2 health\)/.test(message)), messages.join("\n"));
+    });
+
+    it("skips health checks when healthInterval is 0", async () => {
+      instance.config.healthInterval = 0;
+
+      await helper.fetchDevices(instance);
+
+      assert.equal(mock.countRequests("GET", "/v1/devices/dev-front-door/health"), 0);
+      assert.equal(sentPayloads(helper, "DEVICE_DATA")[0].devices[0].health, null);
+    });
+  });
+
+  describe("history", () => {
+    let instance;
+
+    beforeEach(async () => {
+      instance = helper.getInstance("module_0");
+      instance.config = createConfig({ identifier: "module_0", rooms: ["Entry"], healthInterval: 0 });
+      await helper.initializeAuth(instance);
+    });
+
+    it("records transitions between polls and persists them", async () => {
+      await helper.fetchDevices(instance);
+      assert.equal(sentPayloads(helper, "DEVICE_HISTORY").length, 0, "first poll has nothing to diff against");
+
+      mock.fixture.statuses["dev-front-door"].components.main.contactSensor.contact.value = "open";
+      await helper.fetchDevices(instance);
+
+      const [history] = sentPayloads(helper, "DEVICE_HISTORY");
+      assert.equal(history.entries.length, 1);
+      assert.deepEqual(
+        { ...history.entries[0], timestamp: undefined },
+        {
+          deviceId: "dev-front-door",
+          deviceName: "Front Door",
+          room: "Entry",
+          capability: "contact",
+          attribute: "primaryState",
+          oldValue: "closed",
+          newValue: "open",
+          timestamp: undefined
+        }
+      );
+
+      const saved = JSON.parse(fs.readFileSync(instance.historyFile, "utf8"));
+      assert.deepEqual(saved.entries, history.entries);
+
+      instance.history = null;
+      helper.loadHistory(instance);
+      assert.equal(instance.history.length, 1);
+    });
+
+    it("does not report changes against a cache loaded at startup", async () => {
+      await helper.fetchDevices(instance);
+
+      instance.cache = null;
+      helper.loadCache(instance);
+      mock.fixture.statuses["dev-front-door"].components.main.contactSensor.contact.value = "open";
+      await helper.fetchDevices(instance);
+
+      assert.equal(sentPayloads(helper, "DEVICE_CHANGES").length, 0);
+      assert.equal(sentPayloads(helper, "DEVICE_HISTORY").length, 0);
+
+      mock.fixture.statuses["dev-front-door"].components.main.contactSensor.contact.value = "closed";
+      await helper.fetchDevices(instance);
+
+      const [changes] = sentPayloads(helper, "DEVICE_CHANGES");
+      assert.deepEqual(changes.changes.map((change) => [change.oldValue, change.newValue]), [["open", "closed"]]);
+    });
+
+    it("ignores numeric readings but records setpoints", async () => {
+      instance.config.rooms = ["Living Room"];
+      instance.deviceList = [];
+      await helper.fetchDevices(instance);
+
+      const main = mock.fixture.statuses["dev-thermostat"].components.main;
+      main.temperatureMeasurement.temperature.value = 73;
+      main.thermostatHeatingSetpoint.heatingSetpoint.value = 68;
+      await helper.fetchDevices(instance);
+
+      assert.deepEqual(instance.history.map((entry) => [entry.attribute, entry.oldValue, entry.newValue]),
+        [["heatingSetpoint", 70, 68]]);
+    });
+
+    it("drops entries past the retention window and the entry limit", async () => {
+      const old = new Date(Date.now() - 8 * 24 * 60 * 60 * 1000).toISOString();
+      const recent = new Date().toISOString();
+      fs.writeFileSync(instance.historyFile, JSON.stringify({
+        entries: [
+          { deviceId: "dev-front-door", attribute: "primaryState", oldValue: "closed", newValue: "open", timestamp: old },
+          { deviceId: "dev-front-door", attribute: "primaryState", oldValue: "open", newValue: "closed", timestamp: recent },
+          { deviceId: "dev-front-lock", attribute: "primaryState", oldValue: "locked", newValue: "unlocked", timestamp: recent }
+        ]
+      }));
+      instance.config.historyLimit = 1;
+
+      helper.loadHistory(instance);
+
+      assert.equal(instance.history.length, 1);
+      assert.equal(instance.history[0].deviceId, "dev-front-lock");
+    });
+
+    it("records nothing when historyRetention is 0 but still reports changes", async () => {
+      instance.config.historyRetention = 0;
+      await helper.fetchDevices(instance);
+      mock.fixture.statuses["dev-front-door"].components.main.contactSensor.contact.value = "open";
+      await helper.fetchDevices(instance);
+
+      assert.equal(sentPayloads(helper, "DEVICE_HISTORY").length, 0);
+      assert.equal(fs.existsSync(instance.historyFile), false);
+      assert.equal(sentPayloads(helper, "DEVICE_CHANGES")[0].changes[0].newValue, "open");
+    });
+
+    it("reports each transition from realtime events once", async () => {
+      await helper.fetchDevices(instance);
+      instance.realtimeActive = true;
+      mock.fixture.statuses["dev-front-lock"].components.main.lock.lock.value = "unlocked";
+      helper.handleDeviceEvents([{ eventType: "DEVICE_EVENT", deviceEvent: {
+        deviceId: "dev-front-lock",
+        componentId: "main",
+        capability: "lock",
+        attribute: "lock",
+        value: "unlocked"
+      } }]);
+      await helper.fetchDevices(instance);
+
+      const changes = sentPayloads(helper, "DEVICE_CHANGES");
+      assert.equal(changes.length, 1);
+      assert.deepEqual(changes[0].changes.map((change) => [change.deviceId, change.capability, change.oldValue, change.newValue]),
+        [["dev-front-lock", "lock", "locked", "unlocked"]]);
+    });
+  });
+
+  describe("alert rules", () => {
+    let instance;
+
+    beforeEach(async () => {
+      instance = helper.getInstance("module_0");
+      instance.config = createConfig({ identifier: "module_0", rooms: ["Living Room", "Entry"], healthInterval: 0 });
+      await helper.initializeAuth(instance);
+    });
+
+    function useRules(rules) {
+      instance.config.alertRules = rules;
+      instance.alertRules = helper.parseAlertRules(instance);
+    }
+
+    it("raises a state alert only after the duration and clears it when resolved", async () => {
+      useRules([{ capability: "contact", state: "open", duration: 600000 }]);
+      mock.fixture.statuses["dev-front-door"].components.main.contactSensor.contact.value = "open";
+
+      await helper.fetchDevices(instance);
+      assert.equal(sentPayloads(helper, "DEVICE_ALERTS").length, 0);
+      assert.ok(instance.ruleTimer, "a re-check is scheduled for when the duration runs out");
+
+      instance.ruleMatches["0:dev-front-door"] -= 600000;
+      await helper.fetchDevices(instance);
+      const [raised] = sentPayloads(helper, "DEVICE_ALERTS");
+      assert.equal(raised.alerts.length, 1);
+      assert.equal(raised.alerts[0].deviceId, "dev-front-door");
+      assert.equal(raised.alerts[0].value, "open");
+      assert.equal(instance.ruleTimer, null);
+
+      mock.fixture.statuses["dev-front-door"].components.main.contactSensor.contact.value = "closed";
+      await helper.fetchDevices(instance);
+      const cleared = sentPayloads(helper, "DEVICE_ALERTS").pop();
+      assert.deepEqual(cleared.alerts, []);
+      assert.deepEqual(instance.ruleMatches, {});
+    });
+
+    it("checks numeric and battery thresholds for the listed devices", async () => {
+      useRules([
+        { devices: ["dev-thermostat"], attribute: "temperature", above: 70 },
+        { devices: ["dev-lamp"], attribute: "level", below: 50 },
+        { capability: "contact", batteryBelow: 90, message: "Replace {name} battery ({value}%)" }
+      ]);
+
+      await helper.fetchDevices(instance);
+
+      const [data] = sentPayloads(helper, "DEVICE_ALERTS");
+      assert.deepEqual(data.alerts.map((alert) => [alert.id, alert.value]), [["0:dev-thermostat", 71], ["2:dev-front-door", 88]]);
+      assert.equal(data.alerts[1].message, "Replace {name} battery ({value}%)");
+    });
+
+    it("skips invalid rules with a warning", () => {
+      const warnings = [];
+      const originalWarn = console.warn;
+      console.warn = (message) => warnings.push(message);
+      try {
+        useRules([{ state: "open" }, { capability: "contact", state: "open", above: 3 }, { capability: "lock", below: "5" }]);
+      } finally {
+        console.warn = originalWarn;
+      }
+
+      assert.equal(instance.alertRules.length, 0);
+      assert.equal(warnings.length, 3);
+      assert.match(warnings[0], /alert rule 0: needs devices or capability/);
+    });
+  });
+
+  describe("safety sensors", () => {
+    let instance;
+
+    beforeEach(async () => {
+      mock.fixture.devices.push(
+        { deviceId: "dev-smoke", name: "smoke-co", label: "Hall Smoke Alarm", locationId: "loc-home", roomId: "room-entry" },
+        { deviceId: "dev-leak", name: "leak", label: "Sink Leak Sensor", locationId: "loc-home", roomId: "room-entry" }
+      );
+      mock.fixture.statuses["dev-smoke"] = { components: { main: {
+        smokeDetector: { smoke: { value: "clear" } },
+        carbonMonoxideDetector: { carbonMonoxide: { value: "clear" } },
+        battery: { battery: { value: 95 } }
+      } } };
+      mock.fixture.statuses["dev-leak"] = { components: { main: {
+        waterSensor: { water: { value: "dry" } },
+        temperatureMeasurement: { temperature: { value: 64 } }
+      } } };
+
+      instance = helper.getInstance("module_0");
+      instance.config = createConfig({ identifier: "module_0", rooms: ["Entry"], healthInterval: 0 });
+      await helper.initializeAuth(instance);
+    });
+
+    it("makes smoke, CO and water the primary capability", async () => {
+      await helper.fetchDevices(instance);
+
+      const [data] = sentPayloads(helper, "DEVICE_DATA");
+      const byId = Object.fromEntries(data.devices.map((device) => [device.id, device]));
+      assert.equal(byId["dev-smoke"].primaryCapability, "smoke");
+      assert.equal(byId["dev-smoke"].primaryState, "clear");
+      assert.equal(byId["dev-smoke"].carbonMonoxide, "clear", "secondary safety readings are kept");
+      assert.equal(byId["dev-leak"].primaryCapability, "water");
+      assert.equal(byId["dev-leak"].primaryState, "dry");
+      assert.equal(byId["dev-leak"].temperature, 64);
+      assert.equal(sentPayloads(helper, "ALERT").length, 0);
+    });
+
+    it("alerts on the first detected reading and clears when it resolves", async () => {
+      mock.fixture.statuses["dev-leak"].components.main.waterSensor.water.value = "wet";
+      await helper.fetchDevices(instance);
+
+      const [alert] = sentPayloads(helper, "ALERT");
+      assert.equal(alert.type, "safety");
+      assert.equal(alert.messageKey, "ALERT_WATER");
+      assert.deepEqual(alert.params, { name: "Sink Leak Sensor" });
+
+      // Smoke outranks the leak and replaces it; an unchanged alarm is not re-sent
+      mock.fixture.statuses["dev-smoke"].components.main.smokeDetector.smoke.value = "detected";
+      await helper.fetchDevices(instance);
+      await helper.fetchDevices(instance);
+      const alerts = sentPayloads(helper, "ALERT");
+      assert.equal(alerts.length, 2);
+      assert.equal(alerts[1].messageKey, "ALERT_SMOKE");
+
+      mock.fixture.statuses["dev-smoke"].components.main.smokeDetector.smoke.value = "clear";
+      mock.fixture.statuses["dev-leak"].components.main.waterSensor.water.value = "dry";
+      await helper.fetchDevices(instance);
+      assert.equal(sentPayloads(helper, "ALERT_CLEAR").length, 1);
+      assert.equal(instance.currentAlert, null);
+    });
+
+    it("raises a security alert for tampering, below smoke and CO", async () => {
+      Object.assign(mock.fixture.statuses["dev-leak"].components.main, {
+        accelerationSensor: { acceleration: { value: "active" } },
+        tamperAlert: { tamper: { value: "detected" } }
+      });
+      await helper.fetchDevices(instance);
+
+      const [data] = sentPayloads(helper, "DEVICE_DATA");
+      const leak = data.devices.find((device) => device.id === "dev-leak");
+      assert.deepEqual([leak.primaryCapability, leak.acceleration, leak.tamper], ["water", "active", "detected"]);
+      assert.deepEqual(instance.currentAlert, { type: "security", messageKey: "ALERT_TAMPER", params: { name: "Sink Leak Sensor" } });
+
+      mock.fixture.statuses["dev-smoke"].components.main.smokeDetector.smoke.value = "detected";
+      await helper.fetchDevices(instance);
+      assert.equal(instance.currentAlert.messageKey, "ALERT_SMOKE");
+
+      mock.fixture.statuses["dev-smoke"].components.main.smokeDetector.smoke.value = "clear";
+      mock.fixture.statuses["dev-leak"].components.main.tamperAlert.tamper.value = "clear";
+      await helper.fetchDevices(instance);
+      assert.equal(instance.currentAlert, null);
+    });
+
+    it("keeps the safety alert over later API alerts", async () => {
+      mock.fixture.statuses["dev-smoke"].components.main.carbonMonoxideDetector.carbonMonoxide.value = "detected";
+      await helper.fetchDevices(instance);
+
+      helper.setAlert(instance, "network", "ALERT_NETWORK");
+
+      assert.equal(instance.currentAlert.messageKey, "ALERT_CO");
+    });
+  });
+
+  describe("capability handlers", () => {
+    const status = {
+      components: {
+        main: {
+          "acme.pumpStatus": { pumpState: { value: "running" }, flowRate: { value: 12, timestamp: "2026-01-01T08:00:00.000Z" } },
+          battery: { battery: { value: 64 } },
+          temperatureMeasurement: { temperature: { value: 55 } }
+        }
+      }
+    };
+
+    // Test mode skips the API but still builds the instance's capability registry
+    async function initializeWith(handlers) {
+      const instance = helper.getInstance("module_0");
+      instance.config = createConfig({ identifier: "module_0", testMode: true, capabilityHandlers: handlers });
+      await helper.initialize(instance);
+      return instance;
+    }
+
+    it("adds custom capabilities from config", async () => {
+      const instance = await initializeWith({
+        "acme.pumpStatus": {
+          primary: "pump",
+          priority: 14,
+          state: "pumpState",
+          fields: { flowRate: { attribute: "flowRate", into: "both", timestamp: "flowRateUpdatedAt" } },
+          display: { icon: { running: "fa-water", stopped: "fa-ban" }, label: "Pump" }
+        }
+      });
+
+      const device = helper.normalizeDevice({ id: "pump", name: "Pool Pump", room: "Yard" }, status, instance);
+
+      assert.equal(device.primaryCapability, "pump");
+      assert.equal(device.primaryState, "running");
+      assert.equal(device.flowRate, 12);
+      assert.equal(device.capabilities.flowRate, 12);
+      assert.equal(device.flowRateUpdatedAt, "2026-01-01T08:00:00.000Z");
+      assert.equal(device.display.label, "Pump");
+      assert.equal(device.battery, 64);
+      assert.equal(device.temperature, 55);
+    });
+
+    it("reads power and energy meters, converting Wh to kWh", async () => {
+      const instance = await initializeWith({});
+      const plug = helper.normalizeDevice({ id: "plug", name: "Kettle Plug", room: "Kitchen" }, { components: { main: {
+        switch: { switch: { value: "on" } },
+        powerMeter: { power: { value: 1850, unit: "W" } },
+        energyMeter: { energy: { value: 12500, unit: "Wh" } }
+      } } }, instance);
+
+      assert.equal(plug.primaryCapability, "switch");
+      assert.equal(plug.power, 1850);
+      assert.equal(plug.energy, 12.5);
+      assert.equal(plug.capabilities.energy, 12.5);
+    });
+
+    it("reads air quality sensors, preferring them over temperature", async () => {
+      const instance = await initializeWith({});
+      const monitor = helper.normalizeDevice({ id: "air", name: "Hallway Air", room: "Hallway" }, { components: { main: {
+        temperatureMeasurement: { temperature: { value: 70, unit: "F" } },
+        carbonDioxideMeasurement: { carbonDioxide: { value: 950, unit: "ppm" } },
+        dustSensor: { fineDustLevel: { value: 9, unit: "μg/m^3" }, dustLevel: { value: 20, unit: "μg/m^3" } },
+        tvocMeasurement: { tvocLevel: { value: 0.4, unit: "ppm" } }
+      } } }, instance);
+
+      assert.equal(monitor.primaryCapability, "co2");
+      assert.equal(monitor.primaryState, 950);
+      assert.equal(monitor.pm25, 9);
+      assert.equal(monitor.pm10, 20);
+      assert.equal(monitor.voc, 0.4);
+      assert.equal(monitor.vocUnit, "ppm");
+      assert.equal(monitor.capabilities.co2, 950);
+      assert.equal(monitor.temperature, 70);
+    });
+
+    it("reads appliance cycles ahead of their switch", async () => {
+      const instance = await initializeWith({});
+      const washer = helper.normalizeDevice({ id: "washer", name: "Washer" }, { components: { main: {
+        switch: { switch: { value: "on" } },
+        washerOperatingState: {
+          machineState: { value: "run" },
+          washerJobState: { value: "rinse" },
+          completionTime: { value: "2026-04-01T14:35:00Z" }
+        }
+      } } }, instance);
+      const before = Date.now();
+      const dryer = helper.normalizeDevice({ id: "dryer", name: "Dryer" }, { components: { main: {
+        dryerOperatingState: { machineState: { value: "run" } },
+        "samsungce.dryerOperatingState": { dryerJobState: { value: "drying" }, remainingTime: { value: 30, unit: "min" } }
+      } } }, instance);
+
+      assert.deepEqual([washer.primaryCapability, washer.primaryState, washer.jobState, washer.completionTime],
+        ["washer", "run", "rinse", "2026-04-01T14:35:00Z"]);
+      assert.equal(dryer.jobState, "drying");
+      assert.ok(Date.parse(dryer.completionTime) >= before + 30 * 60000);
+    });
+
+    it("normalizes TVs as media players with input, channel and volume", async () => {
+      const instance = await initializeWith({});
+      const tv = helper.normalizeDevice({ id: "tv", name: "TV" }, { components: { main: {
+        switch: { switch: { value: "off" } },
+        mediaPlayback: { playbackStatus: { value: "paused" } },
+        audioVolume: { volume: { value: 12, unit: "%" } },
+        mediaInputSource: { inputSource: { value: "HDMI2" } },
+        tvChannel: { tvChannel: { value: "7" }, tvChannelName: { value: "News" } }
+      } } }, instance);
+
+      assert.deepEqual([tv.primaryCapability, tv.primaryState, tv.capabilities.switch], ["media", "paused", "off"]);
+      assert.deepEqual([tv.inputSource, tv.channel, tv.channelName, tv.volume], ["HDMI2", "7", "News", 12]);
+    });
+
+    it("extracts colour and colour temperature from bulbs", async () => {
+      const instance = await initializeWith({});
+      const bulb = helper.normalizeDevice({ id: "bulb", name: "Bulb" }, { components: { main: {
+        switch: { switch: { value: "on" } },
+        switchLevel: { level: { value: 80 } },
+        colorControl: { hue: { value: 75 }, saturation: { value: 90 } },
+        colorTemperature: { colorTemperature: { value: 2700, unit: "K" } }
+      } } }, instance);
+
+      assert.deepEqual([bulb.primaryCapability, bulb.hue, bulb.saturation, bulb.colorTemperature, bulb.level],
+        ["switch", 75, 90, 2700, 80]);
+    });
+
+    it("classifies air conditioners, purifiers and fans ahead of their switch", async () => {
+      const instance = await initializeWith({});
+      const normalize = (main) => helper.normalizeDevice({ id: "climate", name: "Climate" }, { components: { main } }, instance);
+      const ac = normalize({
+        switch: { switch: { value: "on" } },
+        temperatureMeasurement: { temperature: { value: 75, unit: "F" } },
+        airConditionerMode: { airConditionerMode: { value: "cool" } },
+        airConditionerFanMode: { fanMode: { value: "auto" } },
+        thermostatCoolingSetpoint: { coolingSetpoint: { value: 70, unit: "F" } },
+        "custom.dustFilter": { dustFilterUsage: { value: 94 }, dustFilterStatus: { value: "normal" } }
+      });
+      const purifier = normalize({
+        switch: { switch: { value: "on" } },
+        fanSpeed: { fanSpeed: { value: 2 } },
+        airPurifierFanMode: { airPurifierFanMode: { value: "sleep" } },
+        "custom.hepaFilter": { hepaFilterStatus: { value: "replace" } }
+      });
+      const fan = normalize({ switch: { switch: { value: "on" } }, fanSpeed: { fanSpeed: { value: 3 } } });
+
+      assert.deepEqual([ac.primaryCapability, ac.primaryState, ac.fanMode, ac.coolingSetpoint, ac.filterUsage],
+        ["airConditioner", "cool", "auto", 70, 94]);
+      assert.deepEqual([purifier.primaryCapability, purifier.primaryState, purifier.fanSpeed, purifier.filterStatus],
+        ["airPurifier", "sleep", 2, "replace"]);
+      assert.deepEqual([fan.primaryCapability, fan.primaryState], ["fan", 3]);
+    });
+
+    it("reads occupancy after motion and keeps light and UV readings", async () => {
+      const instance = await initializeWith({});
+      const normalize = (main) => helper.normalizeDevice({ id: "multi", name: "Multi" }, { components: { main } }, instance);
+      const presence = normalize({
+        occupancySensor: { occupancy: { value: "occupied" } },
+        illuminanceMeasurement: { illuminance: { value: 320, unit: "lux" } },
+        ultravioletIndex: { ultravioletIndex: { value: 4 } },
+        temperatureMeasurement: { temperature: { value: 71, unit: "F" } }
+      });
+      const withMotion = normalize({
+        motionSensor: { motion: { value: "inactive" } },
+        occupancySensor: { occupancy: { value: "occupied" } }
+      });
+
+      assert.deepEqual([presence.primaryCapability, presence.primaryState, presence.illuminance, presence.uvIndex],
+        ["occupancy", "occupied", 320, 4]);
+      assert.deepEqual([presence.capabilities.illuminance, presence.capabilities.uvIndex], [320, 4]);
+      assert.equal(withMotion.primaryCapability, "motion");
+    });
+
+    it("keeps the time of the last button event", async () => {
+      const instance = await initializeWith({});
+      const normalize = (button) => helper.normalizeDevice({ id: "btn", name: "Button" }, { components: { main: { button } } }, instance);
+
+      const stamped = normalize({ button: { value: "held", timestamp: "2026-04-01T10:00:00.000Z" } });
+      assert.deepEqual([stamped.primaryCapability, stamped.primaryState, stamped.buttonAt],
+        ["button", "held", "2026-04-01T10:00:00.000Z"]);
+
+      // Without timestamps: unknown at first, kept while unchanged, dated when the value changes
+      assert.equal(normalize({ button: { value: "pushed" } }).buttonAt, null);
+      instance.cache = { lastStatus: [{ id: "btn", button: "pushed", buttonAt: "2026-04-01T09:00:00.000Z" }] };
+      assert.equal(normalize({ button: { value: "pushed" } }).buttonAt, "2026-04-01T09:00:00.000Z");
+      assert.ok(Date.parse(normalize({ button: { value: "double" } }).buttonAt) > Date.parse("2026-04-01T09:00:00.000Z"));
+    });
+
+    it("marks buttons listed in doorbells or flagged on their devices entry", async () => {
+      const instance = await initializeWith({});
+      const pushed = { components: { main: { button: { button: { value: "pushed" } } } } };
+      const normalize = (device) => helper.normalizeDevice(device, pushed, instance).doorbell;
+
+      assert.equal(normalize({ id: "btn-1", name: "Desk Button" }), false);
+      instance.config.doorbells = ["Gate Bell", "btn-2"];
+      assert.equal(normalize({ id: "btn-1", name: "Gate Bell" }), true);
+      assert.equal(normalize({ id: "btn-2", name: "Side Door" }), true);
+      instance.config.devices = [{ id: "btn-3", name: "Porch", doorbell: true }];
+      assert.equal(normalize({ id: "btn-3", name: "Porch" }), true);
+    });
+
+    it("prefers garage door control over its contact sensor", async () => {
+      const instance = await initializeWith({});
+      const opener = (capability, door) => helper.normalizeDevice({ id: "garage", name: "Garage Door" }, { components: { main: {
+        contactSensor: { contact: { value: "open" } },
+        [capability]: { door: { value: door } }
+      } } }, instance);
+
+      assert.deepEqual([opener("garageDoorControl", "opening").primaryCapability, opener("garageDoorControl", "opening").primaryState],
+        ["garageDoor", "opening"]);
+      assert.equal(opener("doorControl", "unknown").primaryState, "unknown");
+      assert.deepEqual(opener("doorControl", "closed").capabilities, { doorControl: "closed" },
+        "the opener's capability is kept for tap commands");
+    });
+
+    it("overrides and removes built-in handlers, skipping invalid ones", async () => {
+      const warnings = [];
+      const originalWarn = console.warn;
+      console.warn = (message) => warnings.push(message);
+      let instance;
+      try {
+        instance = await initializeWith({
+          battery: false,
+          temperatureMeasurement: { primary: "probe", priority: 0 },
+          "acme.pumpStatus": { primary: "pump" }
+        });
+      } finally {
+        console.warn = originalWarn;
+      }
+
+      const device = helper.normalizeDevice({ id: "pump", name: "Pool Pump" }, status, instance);
+
+      assert.equal(device.primaryCapability, "probe");
+      assert.equal(device.primaryState, 55);
+      assert.equal(device.battery, undefined);
+      assert.equal(device.temperature, undefined, "the override replaces the built-in fields");
+      assert.equal(warnings.length, 1);
+      assert.match(warnings[0], /acme\.pumpStatus: primary needs a string name and a numeric priority/);
+    });
+  });
+
+  describe("capability registry", () => {
+    const { DEFAULT_HANDLERS, createRegistry } = require("../capability-registry");
+
+    it("gives every built-in primary handler its own priority, in table order", () => {
+      const priorities = Object.values(DEFAULT_HANDLERS)
+        .filter((handler) => handler.primary !== undefined)
+        .map((handler) => handler.priority);
+
+      assert.equal(new Set(priorities).size, priorities.length);
+      assert.deepEqual(priorities, priorities.slice().sort((a, b) => a - b));
+    });
+
+    it("rejects overrides that reuse another handler's priority", () => {
+      const { handlers, problems } = createRegistry({
+        "acme.pumpStatus": { primary: "pump", priority: 12 },
+        "acme.valve": { primary: "valve", priority: 13 },
+        "acme.gate": { primary: "gate", priority: 13 },
+        switch: { primary: "switch", priority: 12 },
+        smokeDetector: false,
+        "acme.siren": { primary: "siren", priority: 1 }
+      });
+
+      assert.deepEqual(problems, [
+        "Capability handler acme.pumpStatus: priority 12 is already used by switch",
+        "Capability handler acme.gate: priority 13 is already used by acme.valve"
+      ]);
+      assert.equal(handlers["acme.pumpStatus"], undefined);
+      assert.equal(handlers["acme.valve"].priority, 13);
+      assert.equal(handlers.switch.priority, 12, "a handler may keep its own priority");
+      assert.equal(handlers["acme.siren"].priority, 1, "removed handlers free their priority");
+    });
+  });
+
+  describe("sendCommand", () => {
+    let instance;
+
+    beforeEach(async () => {
+      instance = helper.getInstance("module_0");
+      instance.config = createConfig({ identifier: "module_0", rooms: ["Living Room", "Entry", "Garage"] });
+      await helper.initializeAuth(instance);
+      await helper.fetchDevices(instance);
+      helper.sent = [];
+    });
+
+    it("posts the command and re-fetches only that device", async () => {
+      const statusCalls = mock.countRequests("GET", "/v1/devices/");
+
+      const ok = await helper.sendCommand(instance, {
+        deviceId: "dev-lamp", capability: "switch", command: "off", requestId: "r1"
+      });
+
+      assert.equal(ok, true);
+      assert.deepEqual(mock.commands, [
+        { deviceId: "dev-lamp", component: "main", capability: "switch", command: "off", arguments: [] }
+      ]);
+      assert.equal(mock.countRequests("GET", "/v1/devices/") - statusCalls, 1);
+
+      const [data] = sentPayloads(helper, "DEVICE_DATA");
+      assert.equal(data.devices.length, 5);
+      assert.equal(data.devices.find((device) => device.id === "dev-lamp").primaryState, "off");
+      assert.equal(instance.cache.lastStatus.find((device) => device.id === "dev-lamp").primaryState, "off");
+
+      const [result] = sentPayloads(helper, "COMMAND_RESULT");
+      assert.equal(result.success, true);
+      assert.equal(result.requestId, "r1");
+    });
+
+    it("opens and closes garage doors through the opener's capability", async () => {
+      mock.fixture.statuses["dev-garage-door"] = { components: { main: { garageDoorControl: { door: { value: "closed" } } } } };
+      instance.deviceList.push({ id: "dev-garage-door", name: "Garage Door", room: "Garage" });
+
+      assert.equal(await helper.sendCommand(instance, {
+        deviceId: "dev-garage-door", capability: "garageDoorControl", command: "open"
+      }), true);
+
+      const door = sentPayloads(helper, "DEVICE_DATA").pop().devices.find((device) => device.id === "dev-garage-door");
+      assert.deepEqual([door.primaryCapability, door.primaryState], ["garageDoor", "open"]);
+      assert.equal(await helper.sendCommand(instance, {
+        deviceId: "dev-garage-door", capability: "doorControl", command: "pause"
+      }), false);
+    });
+
+    it("clamps level arguments and sends setpoints as numbers", async () => {
+      await helper.sendCommand(instance, {
+        deviceId: "dev-garage-shade", capability: "windowShadeLevel", command: "setShadeLevel", arguments: [140]
+      });
+      await helper.sendCommand(instance, {
+        deviceId: "dev-thermostat", capability: "thermostatHeatingSetpoint", command: "setHeatingSetpoint", arguments: "68"
+      });
+
+      assert.deepEqual(mock.commands.map((command) => command.arguments), [[100], [68]]);
+
+      const latest = sentPayloads(helper, "DEVICE_DATA").pop().devices;
+      assert.equal(latest.find((device) => device.id === "dev-garage-shade").level, 100);
+      assert.equal(latest.find((device) => device.id === "dev-thermostat").heatingSetpoint, 68);
+    });
+
+    it("rejects unsupported commands and unknown devices without calling the API", async () => {
+      const before = mock.requests.length;
+
+      await helper.sendCommand(instance, { deviceId: "dev-lamp", capability: "switch", command: "explode" });
+      await helper.sendCommand(instance, { deviceId: "dev-unknown", capability: "switch", command: "on" });
+      await helper.sendCommand(instance, { deviceId: "dev-lamp", capability: "switchLevel", command: "setLevel" });
+      await helper.sendCommand(instance, { deviceId: "dev-lamp", capability: "switchLevel", command: "setLevel", arguments: ["bright"] });
+
+      assert.equal(mock.requests.length, before);
+      assert.deepEqual(sentPayloads(helper, "COMMAND_RESULT").map((result) => result.error), [
+        "Unsupported command: switch.explode",
+        "Device not configured: dev-unknown",
+        "Missing argument for switchLevel.setLevel",
+        "Invalid percent argument: bright"
+      ]);
+    });
+
+    it("reports commands SmartThings refuses", async () => {
+      mock.failNext("POST", "/v1/devices/dev-front-lock/commands", 422);
+
+      const ok = await helper.sendCommand(instance, { deviceId: "dev-front-lock", capability: "lock", command: "unlock" });
+
+      assert.equal(ok, false);
+      const [result] = sentPayloads(helper, "COMMAND_RESULT");
+      assert.equal(result.success, false);
+      assert.match(result.error, /HTTP error: 422/);
+      assert.equal(sentPayloads(helper, "DEVICE_DATA").length, 0);
+    });
+
+    it("routes SEND_COMMAND socket notifications to the instance", async () => {
+      helper.socketNotificationReceived("SEND_COMMAND", {
+        identifier: "module_0", deviceId: "dev-front-lock", capability: "lock", command: "unlock"
+      });
+      await new Promise((resolve) => setTimeout(resolve, 50));
+
+      assert.equal(mock.commands.length, 1);
+      assert.equal(sentPayloads(helper, "COMMAND_RESULT")[0].identifier, "module_0");
+    });
+
+    it("updates mock devices in test mode", async () => {
+      const testInstance = helper.getInstance("module_1");
+      testInstance.config = createConfig({ identifier: "module_1", testMode: true });
+      await helper.initialize(testInstance);
+
+      await helper.sendCommand(testInstance, { deviceId: "7", capability: "lock", command: "lock" });
+
+      const latest = sentPayloads(helper, "DEVICE_DATA").pop();
+      assert.equal(latest.devices.find((device) => device.id === "7").primaryState, "locked");
+      assert.equal(mock.commands.length, 0);
+    });
+  });
+
+  describe("realtime", () => {
+    let instance;
+
+    function webhookUrl() {
+      return "http://127.0.0.1:" + helper.webhookServer.address().port + "/smartapp";
+    }
+
+    beforeEach(() => {
+      instance = helper.getInstance("module_0");
+      instance.config = createConfig({
+        identifier: "module_0",
+        rooms: ["Living Room", "Entry"],
+        realtime: true,
+        webhookPort: 0
+      });
+    });
+
+    it("subscribes each device once and keeps polling as reconciliation", async () => {
+      await helper.initialize(instance);
+
+      assert.equal(instance.realtimeActive, true);
+      assert.ok(instance.pollTimer, "reconciliation polling should still run");
+      assert.deepEqual(mock.subscriptions.map((sub) => sub.device.deviceId).sort(),
+        ["dev-front-door", "dev-front-lock", "dev-lamp", "dev-thermostat"]);
+
+      await helper.ensureSubscriptions(instance, mock.oauthData().installedAppId);
+      assert.equal(mock.subscriptions.length, 4);
+    });
+
+    it("applies signed device events without polling the device", async () => {
+      await helper.initialize(instance);
+      helper.sent = [];
+      const statusCalls = mock.countRequests("GET", "/v1/devices/");
+
+      const response = await mock.sendDeviceEvent(webhookUrl(), "dev-front-door", "contactSensor", "contact", "open");
+
+      assert.equal(response.status, 200);
+      assert.equal(mock.countRequests("GET", "/v1/devices/"), statusCalls);
+
+      const [data] = sentPayloads(helper, "DEVICE_DATA");
+      assert.equal(data.devices.length, 4);
+      assert.equal(data.devices.find((device) => device.id === "dev-front-door").primaryState, "open");
+      assert.equal(instance.cache.lastStatus.find((device) => device.id === "dev-front-door").primaryState, "open");
+    });
+
+    it("answers PING and CONFIRMATION lifecycles", async () => {
+      await helper.initialize(instance);
+
+      const ping = await mock.postLifecycle(webhookUrl(), { lifecycle: "PING", pingData: { challenge: "abc123" } });
+      assert.deepEqual(ping.body, { pingData: { challenge: "abc123" } });
+
+      await mock.postLifecycle(webhookUrl(), {
+        lifecycle: "CONFIRMATION",
+        confirmationData: { appId: "app-1", confirmationUrl: mock.url + "/confirm/token-1" }
+      });
+      assert.deepEqual(mock.confirmations, ["token-1"]);
+    });
+
+    it("rejects events with an invalid signature", async () => {
+      const crypto = require("crypto");
+      await helper.initialize(instance);
+      helper.sent = [];
+
+      const forged = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 }).privateKey;
+      const response = await mock.postLifecycle(webhookUrl(), {
+        lifecycle: "EVENT",
+        eventData: { events: [] }
+      }, { signWith: forged });
+
+      assert.equal(response.status, 401);
+      assert.equal(sentPayloads(helper, "DEVICE_DATA").length, 0);
+    });
+
+    it("rejects key IDs that point away from the key server without fetching them", async () => {
+      await helper.initialize(instance);
+      helper.sent = [];
+      const fetched = [];
+      const realFetch = global.fetch;
+      global.fetch = (url, options) => {
+        fetched.push(String(url));
+        return realFetch(url, options);
+      };
+
+      try {
+        for (const keyId of ["@attacker.example/k.pem", "//attacker.example/k.pem", "/keys/../k.pem"]) {
+          const response = await mock.postLifecycle(webhookUrl(), { lifecycle: "EVENT", eventData: { events: [] } }, { keyId });
+          assert.equal(response.status, 401, keyId);
+        }
+      } finally {
+        global.fetch = realFetch;
+      }
+
+      assert.deepEqual(fetched.filter((url) => url !== webhookUrl()), []);
+      assert.equal(sentPayloads(helper, "DEVICE_DATA").length, 0);
+    });
+
+    it("requires signatures over the request target, digest and date", () => {
+      const crypto = require("crypto");
+      const { verifySignature, computeDigest } = require("../webhook-utils");
+      const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+      const request = {
+        method: "POST",
+        path: "/smartapp",
+        headers: { date: new Date().toUTCString(), digest: computeDigest("{}") },
+        body: "{}"
+      };
+      const sign = (headers) => ({
+        keyId: "/k",
+        algorithm: "rsa-sha256",
+        headers: headers,
+        signature: crypto.sign("RSA-SHA256", Buffer.from(headers.map((name) => name === "(request-target)"
+          ? "(request-target): post /smartapp" : name + ": " + request.headers[name]).join("\n")), privateKey).toString("base64")
+      });
+
+      assert.equal(verifySignature(request, sign(["(request-target)", "digest", "date"]), publicKey), true);
+      assert.equal(verifySignature(request, sign(["date"]), publicKey), false, "date alone would accept any body");
+      assert.equal(verifySignature(Object.assign({}, request, { body: "{\"forged\":1}" }),
+        sign(["(request-target)", "digest", "date"]), publicKey), false);
+    });
+
+    it("rejects a replayed request until its date leaves the skew window", async () => {
+      await helper.initialize(instance);
+      const date = new Date().toUTCString();
+      const ping = { lifecycle: "PING", pingData: { challenge: "once" } };
+
+      assert.equal((await mock.postLifecycle(webhookUrl(), ping, { date })).status, 200);
+      assert.equal((await mock.postLifecycle(webhookUrl(), ping, { date })).status, 401);
+      assert.equal((await mock.postLifecycle(webhookUrl(), ping, { date: new Date(Date.now() + 1000).toUTCString() })).status, 200,
+        "a new date is a new signature");
+
+      const [signature] = Object.keys(helper.webhookSignatures);
+      helper.webhookSignatures[signature] = Date.now() - 1;
+      helper.rememberWebhookSignature("other", new Date().toUTCString());
+      assert.equal(helper.webhookSignatures[signature], undefined, "expired signatures are forgotten");
+    });
+
+    it("rejects stale dates and oversized bodies", async () => {
+      await helper.initialize(instance);
+
+      const stale = await mock.postLifecycle(webhookUrl(), { lifecycle: "PING", pingData: { challenge: "old" } }, {
+        date: new Date(Date.now() - 10 * 60 * 1000).toUTCString()
+      });
+      assert.equal(stale.status, 401);
+
+      const oversized = await fetch(webhookUrl(), { method: "POST", body: "x".repeat(helper.WEBHOOK_BODY_LIMIT + 1) });
+      assert.equal(oversized.status, 413);
+    });
+
+    it("shares one webhook server between instances starting at the same time", async () => {
+      const probe = require("http").createServer();
+      await new Promise((resolve) => probe.listen(0, resolve));
+      const port = probe.address().port;
+      await new Promise((resolve) => probe.close(resolve));
+
+      instance.config.webhookPort = port;
+      const other = helper.getInstance("module_1");
+      other.config = createConfig({ identifier: "module_1", rooms: ["Entry"], realtime: true, webhookPort: port });
+
+      await Promise.all([helper.startWebhookServer(instance), helper.startWebhookServer(other)]);
+
+      assert.equal(helper.webhookServer.address().port, port);
+      assert.equal(helper.webhookStarting, null);
+    });
+
+    it("falls back to polling without an installed app ID", async () => {
+      const { saveOAuthData } = require("../oauth-utils");
+      saveOAuthData(helper.DATA_DIR, Object.assign(mock.oauthData(), { installedAppId: null }));
+
+      await helper.initialize(instance);
+
+      assert.equal(instance.realtimeActive, false);
+      assert.equal(helper.webhookServer, null);
+      assert.equal(mock.subscriptions.length, 0);
+      assert.ok(instance.pollTimer);
+    });
+  });
+
+  describe("handleHttpError", () => {
+    let instance;
+
+    beforeEach(async () => {
+      instance = helper.getInstance("module_0");
+      instance.config = createConfig({ identifier: "module_0", rooms: ["Entry"] });
+      await helper.initializeAuth(instance);
+    });
+
+    async function failedResponse(status, body) {
+      mock.failNext("GET", "/v1/locations", status, body);
+      return await fetch(mock.apiBase + "/locations");
+    }
+
+    it("raises the scope alert immediately on 403", async () => {
+      await assert.rejects(helper.handleHttpError(await failedResponse(403), instance), /Permission denied/);
+      assert.deepEqual(instance.currentAlert, { type: "scope", messageKey: "ALERT_SCOPE" });
+    });
+
+    it("treats invalid_grant in a 400 body as an auth failure", async () => {
+      const response = await failedResponse(400, { error: "invalid_grant" });
+      await assert.rejects(helper.handleHttpError(response, instance), /Invalid grant/);
+      assert.equal(instance.currentAlert.type, "auth");
+    });
+
+    it("waits for the failure threshold before alerting on outages", async () => {
+      for (let i = 1; i < helper.FAILURE_THRESHOLD; i++) {
+        await assert.rejects(helper.handleHttpError(await failedResponse(503), instance), /Server error: 503/);
+      }
+      assert.equal(instance.currentAlert, null);
+
+      await assert.rejects(helper.handleHttpError(await failedResponse(503), instance), /Server error: 503/);
+      assert.deepEqual(instance.currentAlert, { type: "outage", messageKey: "ALERT_OUTAGE" });
+    });
+
+    it("keeps a higher-priority alert when a lower one arrives", async () => {
+      await assert.rejects(helper.handleHttpError(await failedResponse(403), instance));
+      instance.consecutiveFailures = helper.FAILURE_THRESHOLD;
+      await assert.rejects(helper.handleHttpError(await failedResponse(429), instance));
+
+      assert.equal(instance.currentAlert.type, "scope");
+      assert.equal(sentPayloads(helper, "ALERT").length, 1);
+    });
+
+    it("clears alerts after the next successful poll", async () => {
+      await assert.rejects(helper.handleHttpError(await failedResponse(403), instance));
+
+      await helper.fetchDevices(instance);
+
+      assert.equal(instance.currentAlert, null);
+      assert.equal(sentPayloads(helper, "ALERT_CLEAR").length, 1);
+    });
+  });
+});
@@ -0,0 +1,111 @@
+/* helper-harness.js
+ * Loads a fresh node_helper.js instance wired to a mock SmartThings server,
+ * with OAuth data and caches kept in a throwaway data directory.
+ */
+
+const Module = require("module");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { saveOAuthData } = require("../../oauth-utils");
+
+const HELPER_PATH = path.resolve(__dirname, "../../node_helper.js");
+const STUB_PATH = path.join(__dirname, "node-helper-stub.js");
+
+// node_helper is provided by MagicMirror at runtime
+const originalResolve = Module._resolveFilename;
+Module._resolveFilename = function (request, ...args) {
+  if (request === "node_helper") {
+    return STUB_PATH;
+  }
+  return originalResolve.call(this, request, ...args);
+};
+
+/**
+ * Create a helper pointed at the mock server
+ * @param {Object} mock - Started mock server from mock-smartthings.js
+ * @param {Object} options - { oauth: false } to skip seeding oauth-data.enc
+ * @returns {Object} Helper with a `sent` array of socket notifications
+ */
+function createHelper(mock, options = {}) {
+  delete require.cache[HELPER_PATH];
+  const helper = require(HELPER_PATH);
+
+  helper.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "ststatus-test-"));
+
+  process.env.STSTATUS_API_BASE = mock.apiBase;
+  process.env.STSTATUS_TOKEN_URL = mock.tokenUrl;
+  process.env.STSTATUS_KEY_BASE = mock.keyBase;
+  helper.start();
+  delete process.env.STSTATUS_API_BASE;
+  delete process.env.STSTATUS_TOKEN_URL;
+  delete process.env.STSTATUS_KEY_BASE;
+
+  helper.sent = [];
+  helper.sendSocketNotification = function (notification, payload) {
+    helper.sent.push({ notification: notification, payload: payload });
+  };
+
+  // Backoff and rate-limit pauses are recorded instead of slept
+  helper.delays = [];
+  helper.delay = function (ms) {
+    helper.delays.push(ms);
+    return Promise.resolve();
+  };
+
+  // Keep test output readable; set STSTATUS_TEST_LOGS=1 to see helper logs
+  if (!process.env.STSTATUS_TEST_LOGS) {
+    helper.log = function () {};
+  }
+
+  if (options.oauth !== false) {
+    saveOAuthData(helper.DATA_DIR, mock.oauthData());
+  }
+
+  return helper;
+}
+
+/**
+ * Build a frontend config for SET_CONFIG
+ * @param {Object} overrides - Config values to override
+ * @returns {Object} Config payload
+ */
+function createConfig(overrides = {}) {
+  return Object.assign({
+    identifier: "module_0_MMM-STStatus",
+    devices: [],
+    hiddenDevices: [],
+    rooms: [],
+    pollInterval: 60000,
+    debug: false,
+    testMode: false
+  }, overrides);
+}
+
+/**
+ * Socket notifications sent by the helper, optionally filtered by name
+ * @param {Object} helper - Helper from createHelper
+ * @param {string} notification - Notification name
+ * @returns {Array} Payloads
+ */
+function sentPayloads(helper, notification) {
+  return helper.sent
+    .filter((entry) => !notification || entry.notification === notification)
+    .map((entry) => entry.payload);
+}
+
+/**
+ * Stop timers and remove the data directory
+ * @param {Object} helper - Helper from createHelper
+ */
+function disposeHelper(helper) {
+  helper.stop();
+  fs.rmSync(helper.DATA_DIR, { recursive: true, force: true });
+}
+
+module.exports = {
+  createHelper,
+  createConfig,
+  sentPayloads,
+  disposeHelper
+};
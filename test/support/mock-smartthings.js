@@ -0,0 +1,760 @@
+#!/usr/bin/env node
+
+/* mock-smartthings.js
+ * Local SmartThings API stand-in for automated tests and staging mirrors
+ * Serves locations, rooms, room devices, device listings (with includeStatus), device status and health,
+ * device commands, subscriptions,
+ * webhook signing keys and the OAuth token endpoint, and can post signed lifecycle events
+ *
+ * Usage: node test/support/mock-smartthings.js [port] [--seed-oauth /path/to/data-dir]
+ *   --seed-oauth writes a matching oauth-data.enc (overwrites any existing one)
+ * Then start MagicMirror with:
+ *   STSTATUS_API_BASE=http://127.0.0.1:<port>/v1
+ *   STSTATUS_TOKEN_URL=http://127.0.0.1:<port>/oauth/token
+ *   STSTATUS_KEY_BASE=http://127.0.0.1:<port>
+ */
+
+const http = require("http");
+const crypto = require("crypto");
+const { computeDigest } = require("../../webhook-utils");
+
+const CLIENT_ID = "00000000-0000-4000-8000-000000000001";
+const CLIENT_SECRET = "mock-client-secret";
+const INSTALLED_APP_ID = "00000000-0000-4000-8000-0000000000aa";
+const KEY_ID = "/keys/mock/webhook-key";
+
+/**
+ * Build a SmartThings attribute value as returned by /devices/{id}/status
+ * @param {*} value - Attribute value
+ * @param {string} unit - Optional unit
+ * @returns {Object} Attribute object
+ */
+function attr(value, unit) {
+  const attribute = { value: value, timestamp: "2026-01-01T12:00:00.000Z" };
+  if (unit) {
+    attribute.unit = unit;
+  }
+  return attribute;
+}
+
+/**
+ * Default fixture: one location with three rooms and a handful of typical devices
+ * @returns {Object} Fixture with locations, rooms, devices and statuses
+ */
+function createDefaultFixture() {
+  return {
+    locations: [
+      { locationId: "loc-home", name: "Home" }
+    ],
+    rooms: [
+      { roomId: "room-living", locationId: "loc-home", name: "Living Room" },
+      { roomId: "room-entry", locationId: "loc-home", name: "Entry" },
+      { roomId: "room-garage", locationId: "loc-home", name: "Garage" }
+    ],
+    devices: [
+      { deviceId: "dev-lamp", name: "c2c-dimmer", label: "Living Room Lamp", locationId: "loc-home", roomId: "room-living" },
+      { deviceId: "dev-thermostat", name: "ecobee", label: "Thermostat", locationId: "loc-home", roomId: "room-living" },
+      { deviceId: "dev-front-door", name: "contact-sensor", label: "Front Door", locationId: "loc-home", roomId: "room-entry" },
+      { deviceId: "dev-front-lock", name: "zwave-lock", label: "Front Door Lock", locationId: "loc-home", roomId: "room-entry" },
+      { deviceId: "dev-garage-shade", name: "shade", label: "Garage Shade", locationId: "loc-home", roomId: "room-garage" }
+    ],
+    statuses: {
+      "dev-lamp": {
+        components: {
+          main: {
+            switch: { switch: attr("on") },
+            switchLevel: { level: attr(75, "%") }
+          }
+        }
+      },
+      "dev-thermostat": {
+        components: {
+          main: {
+            temperatureMeasurement: { temperature: attr(71, "F") },
+            relativeHumidityMeasurement: { humidity: attr(40, "%") },
+            thermostatOperatingState: { thermostatOperatingState: attr("heating") },
+            thermostatMode: { thermostatMode: attr("heat") },
+            thermostatHeatingSetpoint: { heatingSetpoint: attr(70, "F") }
+          }
+        }
+      },
+      "dev-front-door": {
+        components: {
+          main: {
+            contactSensor: { contact: attr("closed") },
+            battery: { battery: attr(88, "%") }
+          }
+        }
+      },
+      "dev-front-lock": {
+        components: {
+          main: {
+            lock: { lock: attr("locked") },
+            battery: { battery: attr(64, "%") }
+          }
+        }
+      },
+      "dev-garage-shade": {
+        components: {
+          main: {
+            windowShade: { windowShade: attr("partially open"), shadeLevel: attr(40, "%") }
+          }
+        }
+      }
+    },
+    // deviceId -> /health response; devices not listed report ONLINE
+    health: {}
+  };
+}
+
+/**
+ * Read a request body as a string
+ * @param {http.IncomingMessage} req - Incoming request
+ * @returns {Promise<string>} Body text
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = "";
+    req.on("data", (chunk) => {
+      data += chunk;
+    });
+    req.on("end", () => resolve(data));
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Apply a device command to a fixture status, the way a real device would report it
+ * @param {Object} status - Device status from the fixture
+ * @param {Object} command - { component, capability, command, arguments }
+ * @returns {boolean} False if the command is not supported
+ */
+function applyCommand(status, command) {
+  const component = status.components[command.component || "main"];
+  if (!component) {
+    return false;
+  }
+
+  const set = (capability, attribute, value) => {
+    component[capability] = component[capability] || {};
+    component[capability][attribute] = attr(value);
+  };
+  const args = command.arguments || [];
+
+  switch (command.capability + "." + command.command) {
+    case "switch.on":
+    case "switch.off":
+      set("switch", "switch", command.command);
+      break;
+    case "lock.lock":
+      set("lock", "lock", "locked");
+      break;
+    case "lock.unlock":
+      set("lock", "lock", "unlocked");
+      break;
+    case "switchLevel.setLevel":
+      set("switchLevel", "level", args[0]);
+      break;
+    case "windowShade.open":
+      set("windowShade", "windowShade", "open");
+      set("windowShade", "shadeLevel", 100);
+      break;
+    case "windowShade.close":
+      set("windowShade", "windowShade", "closed");
+      set("windowShade", "shadeLevel", 0);
+      break;
+    case "windowShade.pause":
+      break;
+    case "garageDoorControl.open":
+    case "doorControl.open":
+      set(command.capability, "door", "open");
+      break;
+    case "garageDoorControl.close":
+    case "doorControl.close":
+      set(command.capability, "door", "closed");
+      break;
+    case "windowShadeLevel.setShadeLevel":
+      set("windowShade", "windowShade", args[0] === 0 ? "closed" : args[0] === 100 ? "open" : "partially open");
+      set("windowShade", "shadeLevel", args[0]);
+      break;
+    case "thermostatHeatingSetpoint.setHeatingSetpoint":
+      set("thermostatHeatingSetpoint", "heatingSetpoint", args[0]);
+      break;
+    case "thermostatCoolingSetpoint.setCoolingSetpoint":
+      set("thermostatCoolingSetpoint", "coolingSetpoint", args[0]);
+      break;
+    default:
+      return false;
+  }
+
+  return true;
+}
+
+/**
+ * Create a mock SmartThings server
+ * @param {Object} options - { fixture, clientId, clientSecret, pageSize }
+ * @returns {Object} Server controller (start, stop, fault injection, request log)
+ */
+function createMockServer(options = {}) {
+  const mock = {
+    fixture: options.fixture || createDefaultFixture(),
+    clientId: options.clientId || CLIENT_ID,
+    clientSecret: options.clientSecret || CLIENT_SECRET,
+    accessToken: "access-1",
+    refreshToken: "refresh-1",
+    tokenGeneration: 1,
+    accounts: {},              // extra account name -> { accessToken, refreshToken, tokenGeneration }
+    faults: [],
+    requests: [],
+    commands: [],
+    subscriptions: [],
+    confirmations: [],
+    pageSize: options.pageSize || 200,
+    latencies: [],
+    inFlight: 0,
+    maxInFlight: 0,
+    keyPair: null,
+    url: null,
+    apiBase: null,
+    tokenUrl: null,
+    keyBase: null,
+    server: null
+  };
+
+  function send(res, status, body) {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(typeof body === "string" ? body : JSON.stringify(body));
+  }
+
+  function sendPage(res, items, requestUrl) {
+    const page = parseInt(requestUrl.searchParams.get("page"), 10) || 0;
+    const body = { items: items.slice(page * mock.pageSize, (page + 1) * mock.pageSize), _links: {} };
+
+    if ((page + 1) * mock.pageSize < items.length) {
+      const next = new URL(requestUrl.href);
+      next.searchParams.set("page", String(page + 1));
+      body._links.next = { href: mock.url + next.pathname + next.search };
+    }
+
+    send(res, 200, body);
+  }
+
+  function embedStatus(device) {
+    const status = mock.fixture.statuses[device.deviceId];
+    if (!status) {
+      return device;
+    }
+
+    return Object.assign({}, device, {
+      components: Object.keys(status.components).map((componentId) => ({
+        id: componentId,
+        capabilities: Object.keys(status.components[componentId]).map((capabilityId) => ({
+          id: capabilityId,
+          version: 1,
+          status: status.components[componentId][capabilityId]
+        }))
+      }))
+    });
+  }
+
+  function takeFault(method, pathname) {
+    const index = mock.faults.findIndex((fault) =>
+      fault.method === method &&
+      (fault.path instanceof RegExp ? fault.path.test(pathname) : fault.path === pathname)
+    );
+
+    if (index === -1) {
+      return null;
+    }
+
+    const fault = mock.faults[index];
+    fault.times--;
+    if (fault.times <= 0) {
+      mock.faults.splice(index, 1);
+    }
+    return fault;
+  }
+
+  function issueTokens() {
+    mock.tokenGeneration++;
+    mock.accessToken = "access-" + mock.tokenGeneration;
+    mock.refreshToken = "refresh-" + mock.tokenGeneration;
+    return {
+      access_token: mock.accessToken,
+      refresh_token: mock.refreshToken,
+      token_type: "bearer",
+      expires_in: 86399,
+      scope: "r:devices:* x:devices:* r:locations:*",
+      installed_app_id: INSTALLED_APP_ID
+    };
+  }
+
+  function getKeyPair() {
+    if (!mock.keyPair) {
+      mock.keyPair = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+    }
+    return mock.keyPair;
+  }
+
+  async function handleSubscriptions(req, res, installedAppId) {
+    if (installedAppId !== INSTALLED_APP_ID) {
+      send(res, 403, { error: { code: "ForbiddenError", message: "Not your installed app" } });
+      return;
+    }
+
+    if (req.method === "GET") {
+      sendPage(res, mock.subscriptions, new URL(req.url, "http://localhost"));
+      return;
+    }
+
+    const subscription = Object.assign(
+      { id: "sub-" + (mock.subscriptions.length + 1), installedAppId: installedAppId },
+      JSON.parse((await readBody(req)) || "{}")
+    );
+    mock.subscriptions.push(subscription);
+    send(res, 200, subscription);
+  }
+
+  function issueAccountTokens(account) {
+    account.tokenGeneration++;
+    account.accessToken = account.name + "-access-" + account.tokenGeneration;
+    account.refreshToken = account.name + "-refresh-" + account.tokenGeneration;
+    return {
+      access_token: account.accessToken,
+      refresh_token: account.refreshToken,
+      token_type: "bearer",
+      expires_in: 86399,
+      scope: "r:devices:* x:devices:* r:locations:*",
+      installed_app_id: INSTALLED_APP_ID
+    };
+  }
+
+  function isValidAccessToken(authorization) {
+    if (authorization === "Bearer " + mock.accessToken) {
+      return true;
+    }
+    return Object.values(mock.accounts).some((account) => authorization === "Bearer " + account.accessToken);
+  }
+
+  async function handleToken(req, res) {
+    const params = new URLSearchParams(await readBody(req));
+    const expectedAuth = "Basic " + Buffer.from(mock.clientId + ":" + mock.clientSecret).toString("base64");
+
+    if (req.headers.authorization !== expectedAuth) {
+      send(res, 401, { error: "invalid_client", error_description: "Bad client credentials" });
+      return;
+    }
+
+    const refreshToken = params.get("refresh_token");
+    if (params.get("grant_type") === "refresh_token" && refreshToken === mock.refreshToken) {
+      send(res, 200, issueTokens());
+      return;
+    }
+
+    const account = Object.values(mock.accounts).find((candidate) => candidate.refreshToken === refreshToken);
+    if (params.get("grant_type") === "refresh_token" && account) {
+      send(res, 200, issueAccountTokens(account));
+      return;
+    }
+
+    send(res, 400, { error: "invalid_grant", error_description: "Invalid refresh token" });
+  }
+
+  async function handleCommands(req, res, deviceId) {
+    const status = mock.fixture.statuses[deviceId];
+    if (!status) {
+      send(res, 404, { error: { code: "NotFoundError", message: "Device not found" } });
+      return;
+    }
+
+    const body = JSON.parse((await readBody(req)) || "{}");
+    const commands = Array.isArray(body.commands) ? body.commands : [];
+    const results = [];
+
+    for (const command of commands) {
+      mock.commands.push(Object.assign({ deviceId: deviceId }, command));
+      if (!applyCommand(status, command)) {
+        send(res, 422, { error: { code: "ConstraintViolationError", message: "Unsupported command " + command.command } });
+        return;
+      }
+      results.push({ id: String(mock.commands.length), status: "ACCEPTED" });
+    }
+
+    send(res, 200, { results: results });
+  }
+
+  async function handleApi(req, res, pathname, requestUrl) {
+    if (!isValidAccessToken(req.headers.authorization)) {
+      send(res, 401, { error: { code: "UnauthorizedError", message: "Unauthorized" } });
+      return;
+    }
+
+    const fixture = mock.fixture;
+    let match;
+
+    if ((match = pathname.match(/^\/v1\/installedapps\/([^/]+)\/subscriptions$/))) {
+      await handleSubscriptions(req, res, match[1]);
+      return;
+    }
+
+    if (req.method === "POST") {
+      if ((match = pathname.match(/^\/v1\/devices\/([^/]+)\/commands$/))) {
+        await handleCommands(req, res, match[1]);
+        return;
+      }
+      send(res, 404, { error: { code: "NotFoundError", message: "Unknown endpoint " + pathname } });
+      return;
+    }
+
+    if (pathname === "/v1/devices") {
+      const locationId = requestUrl.searchParams.get("locationId");
+      let devices = fixture.devices.filter((device) => !locationId || device.locationId === locationId);
+      if (requestUrl.searchParams.get("includeStatus") === "true") {
+        devices = devices.map(embedStatus);
+      }
+      sendPage(res, devices, requestUrl);
+      return;
+    }
+
+    if (pathname === "/v1/locations") {
+      sendPage(res, fixture.locations, requestUrl);
+      return;
+    }
+
+    if ((match = pathname.match(/^\/v1\/locations\/([^/]+)\/rooms$/))) {
+      const rooms = fixture.rooms.filter((room) => room.locationId === match[1]);
+      sendPage(res, rooms, requestUrl);
+      return;
+    }
+
+    if ((match = pathname.match(/^\/v1\/locations\/([^/]+)\/rooms\/([^/]+)\/devices$/))) {
+      const devices = fixture.devices.filter((device) =>
+        device.locationId === match[1] && device.roomId === match[2]
+      );
+      sendPage(res, devices, requestUrl);
+      return;
+    }
+
+    if ((match = pathname.match(/^\/v1\/devices\/([^/]+)\/health$/))) {
+      if (!fixture.statuses[match[1]]) {
+        send(res, 404, { error: { code: "NotFoundError", message: "Device not found" } });
+        return;
+      }
+      const health = (fixture.health && fixture.health[match[1]]) ||
+        { state: "ONLINE", lastUpdatedDate: "2026-01-01T08:00:00.000Z" };
+      send(res, 200, Object.assign({ deviceId: match[1] }, health));
+      return;
+    }
+
+    if ((match = pathname.match(/^\/v1\/devices\/([^/]+)\/status$/))) {
+      const status = fixture.statuses[match[1]];
+      if (!status) {
+        send(res, 404, { error: { code: "NotFoundError", message: "Device not found" } });
+        return;
+      }
+      send(res, 200, status);
+      return;
+    }
+
+    send(res, 404, { error: { code: "NotFoundError", message: "Unknown endpoint " + pathname } });
+  }
+
+  function latencyFor(method, pathname) {
+    const latency = mock.latencies.find((entry) =>
+      entry.method === method &&
+      (entry.path instanceof RegExp ? entry.path.test(pathname) : entry.path === pathname)
+    );
+    return latency ? latency.ms : 0;
+  }
+
+  async function handle(req, res) {
+    mock.inFlight++;
+    mock.maxInFlight = Math.max(mock.maxInFlight, mock.inFlight);
+    try {
+      await route(req, res);
+    } finally {
+      mock.inFlight--;
+    }
+  }
+
+  async function route(req, res) {
+    const requestUrl = new URL(req.url, "http://localhost");
+    const pathname = requestUrl.pathname;
+    mock.requests.push({
+      method: req.method,
+      path: pathname,
+      query: requestUrl.search,
+      authorization: req.headers.authorization || null
+    });
+
+    const latency = latencyFor(req.method, pathname);
+    if (latency > 0) {
+      await new Promise((resolve) => setTimeout(resolve, latency));
+    }
+
+    const fault = takeFault(req.method, pathname);
+    if (fault) {
+      send(res, fault.status, fault.body || { error: "Injected fault" });
+      return;
+    }
+
+    if (req.method === "POST" && pathname === "/oauth/token") {
+      await handleToken(req, res);
+      return;
+    }
+
+    if (pathname.startsWith("/v1/")) {
+      await handleApi(req, res, pathname, requestUrl);
+      return;
+    }
+
+    if (req.method === "GET" && pathname === KEY_ID) {
+      res.writeHead(200, { "Content-Type": "application/x-pem-file" });
+      res.end(getKeyPair().publicKey.export({ type: "spki", format: "pem" }));
+      return;
+    }
+
+    if (req.method === "GET" && pathname.startsWith("/confirm/")) {
+      mock.confirmations.push(pathname.substring("/confirm/".length));
+      send(res, 200, {});
+      return;
+    }
+
+    send(res, 404, { error: "Not found" });
+  }
+
+  /**
+   * Start listening on 127.0.0.1
+   * @param {number} port - Port number (0 = any free port)
+   * @returns {Promise<Object>} The controller
+   */
+  mock.start = function (port = 0) {
+    return new Promise((resolve, reject) => {
+      mock.server = http.createServer((req, res) => {
+        handle(req, res).catch((err) => send(res, 500, { error: err.message }));
+      });
+      mock.server.on("error", reject);
+      mock.server.listen(port, "127.0.0.1", () => {
+        mock.url = "http://127.0.0.1:" + mock.server.address().port;
+        mock.apiBase = mock.url + "/v1";
+        mock.tokenUrl = mock.url + "/oauth/token";
+        mock.keyBase = mock.url;
+        resolve(mock);
+      });
+    });
+  };
+
+  /**
+   * Stop the server
+   * @returns {Promise<void>}
+   */
+  mock.stop = function () {
+    return new Promise((resolve) => {
+      if (!mock.server) {
+        resolve();
+        return;
+      }
+      mock.server.close(() => resolve());
+    });
+  };
+
+  /**
+   * Fail the next request(s) matching method and path with the given status
+   * @param {string} method - HTTP method
+   * @param {string|RegExp} path - Exact pathname or pattern (e.g. "/v1/devices/dev-lamp/status")
+   * @param {number} status - HTTP status to return
+   * @param {Object|string} body - Optional response body
+   * @param {number} times - How many requests to fail (default: 1)
+   */
+  mock.failNext = function (method, path, status, body, times = 1) {
+    mock.faults.push({ method: method, path: path, status: status, body: body, times: times });
+  };
+
+  /**
+   * Delay responses for matching requests (tracks maxInFlight for concurrency checks)
+   * @param {string} method - HTTP method
+   * @param {string|RegExp} path - Exact pathname or pattern
+   * @param {number} ms - Delay in milliseconds
+   */
+  mock.setLatency = function (method, path, ms) {
+    mock.latencies.push({ method: method, path: path, ms: ms });
+  };
+
+  /**
+   * Invalidate the current access token server-side (refresh token stays valid)
+   */
+  mock.expireAccessToken = function () {
+    mock.accessToken = "expired-" + mock.tokenGeneration;
+  };
+
+  /**
+   * Invalidate the current refresh token, so refreshes fail with invalid_grant
+   */
+  mock.revokeRefreshToken = function () {
+    mock.refreshToken = "revoked-" + mock.tokenGeneration;
+  };
+
+  /**
+   * Rotate tokens as if another process had refreshed them
+   * @returns {Object} The newly issued token response
+   */
+  mock.rotateTokens = function () {
+    return issueTokens();
+  };
+
+  /**
+   * Register another SmartThings account with its own tokens (same fixture, same OAuth client)
+   * @param {string} name - Account name
+   * @returns {Object} The account's token state
+   */
+  mock.addAccount = function (name) {
+    mock.accounts[name] = {
+      name: name,
+      accessToken: name + "-access-1",
+      refreshToken: name + "-refresh-1",
+      tokenGeneration: 1
+    };
+    return mock.accounts[name];
+  };
+
+  /**
+   * OAuth data in the shape setup.js stores in oauth-data.enc
+   * @param {string} account - Optional account added with addAccount (default: the primary tokens)
+   * @returns {Object} OAuth data for the current tokens
+   */
+  mock.oauthData = function (account) {
+    const tokens = account ? mock.accounts[account] : mock;
+    return {
+      clientId: mock.clientId,
+      clientSecret: mock.clientSecret,
+      access_token: tokens.accessToken,
+      refresh_token: tokens.refreshToken,
+      token_type: "Bearer",
+      scope: "r:devices:* x:devices:* r:locations:*",
+      expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+      obtainedAt: new Date().toISOString(),
+      installedAppId: INSTALLED_APP_ID
+    };
+  };
+
+  /**
+   * POST a signed SmartApp lifecycle message to a webhook, as SmartThings would
+   * @param {string} targetUrl - Webhook URL
+   * @param {Object} message - Lifecycle body ({ lifecycle: "PING", ... })
+   * @param {Object} options - { signWith: KeyObject, keyId, date } to sign with a different key,
+   *   claim another key ID or send another Date header
+   * @returns {Promise<Object>} { status, body }
+   */
+  mock.postLifecycle = async function (targetUrl, message, options = {}) {
+    const url = new URL(targetUrl);
+    const body = JSON.stringify(message);
+    const headers = {
+      "content-type": "application/json",
+      "date": options.date || new Date().toUTCString(),
+      "digest": computeDigest(body)
+    };
+    const signingString = [
+      "(request-target): post " + url.pathname + url.search,
+      "digest: " + headers.digest,
+      "date: " + headers.date
+    ].join("\n");
+    const signature = crypto.sign("RSA-SHA256", Buffer.from(signingString),
+      options.signWith || getKeyPair().privateKey).toString("base64");
+
+    headers.authorization = "Signature keyId=\"" + (options.keyId || KEY_ID) + "\",signature=\"" + signature +
+      "\",headers=\"(request-target) digest date\",algorithm=\"rsa-sha256\"";
+
+    const response = await fetch(targetUrl, { method: "POST", headers: headers, body: body });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+  };
+
+  /**
+   * Change a device attribute in the fixture and deliver the matching EVENT lifecycle
+   * @param {string} targetUrl - Webhook URL
+   * @param {string} deviceId - Device ID
+   * @param {string} capability - Capability ID
+   * @param {string} attribute - Attribute name
+   * @param {*} value - New value
+   * @returns {Promise<Object>} { status, body }
+   */
+  mock.sendDeviceEvent = function (targetUrl, deviceId, capability, attribute, value) {
+    const component = mock.fixture.statuses[deviceId].components.main;
+    component[capability] = component[capability] || {};
+    component[capability][attribute] = attr(value);
+
+    return mock.postLifecycle(targetUrl, {
+      lifecycle: "EVENT",
+      executionId: crypto.randomUUID(),
+      eventData: {
+        installedApp: { installedAppId: INSTALLED_APP_ID },
+        events: [{
+          eventType: "DEVICE_EVENT",
+          deviceEvent: {
+            subscriptionName: "sub-" + deviceId,
+            deviceId: deviceId,
+            componentId: "main",
+            capability: capability,
+            attribute: attribute,
+            value: value,
+            stateChange: true
+          }
+        }]
+      }
+    });
+  };
+
+  /**
+   * Count logged requests, optionally filtered by method and path prefix
+   * @param {string} method - HTTP method or null for any
+   * @param {string} prefix - Path prefix or null for any
+   * @returns {number} Matching request count
+   */
+  mock.countRequests = function (method, prefix) {
+    return mock.requests.filter((request) =>
+      (!method || request.method === method) &&
+      (!prefix || request.path.startsWith(prefix))
+    ).length;
+  };
+
+  return mock;
+}
+
+module.exports = {
+  createMockServer,
+  createDefaultFixture,
+  applyCommand,
+  attr,
+  CLIENT_ID,
+  CLIENT_SECRET,
+  INSTALLED_APP_ID
+};
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const seedIndex = args.indexOf("--seed-oauth");
+  const seedDir = seedIndex !== -1 ? args[seedIndex + 1] : null;
+  const port = parseInt(args.find((arg) => /^\d+$/.test(arg)), 10) || 8089;
+  const mock = createMockServer();
+
+  mock.start(port).then(() => {
+    if (seedDir) {
+      const { saveOAuthData } = require("../../oauth-utils");
+      if (saveOAuthData(seedDir, mock.oauthData())) {
+        console.log("[mock-smartthings] Seeded OAuth data in " + seedDir);
+      }
+    }
+
+    console.log("[mock-smartthings] Listening on " + mock.url);
+    console.log("[mock-smartthings] STSTATUS_API_BASE=" + mock.apiBase);
+    console.log("[mock-smartthings] STSTATUS_TOKEN_URL=" + mock.tokenUrl);
+    console.log("[mock-smartthings] STSTATUS_KEY_BASE=" + mock.keyBase);
+    console.log("[mock-smartthings] Client ID: " + mock.clientId);
+    console.log("[mock-smartthings] Client Secret: " + mock.clientSecret);
+    console.log("[mock-smartthings] Refresh token: " + mock.refreshToken);
+  });
+
+  process.on("SIGINT", () => {
+    mock.stop().then(() => process.exit(0));
+  });
+}
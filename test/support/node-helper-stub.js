@@ -0,0 +1,12 @@
+/* node-helper-stub.js
+ * Minimal stand-in for MagicMirror's node_helper module so node_helper.js
+ * can be loaded outside MagicMirror. Only the create() contract is provided.
+ */
+
+module.exports = {
+  create: function (definition) {
+    return Object.assign({
+      sendSocketNotification: function () {}
+    }, definition);
+  }
+};
@@ -0,0 +1,152 @@
+/* webhook-utils.js
+ * HTTP Signature helpers for SmartThings webhook lifecycle requests
+ * SmartThings signs each POST with RSA-SHA256 over "(request-target) digest date";
+ * the public key is published at https://key.smartthings.com/<keyId>
+ */
+
+const crypto = require("crypto");
+
+// Every signature must cover these, so the body and target can't be swapped under it
+const REQUIRED_HEADERS = ["(request-target)", "digest", "date"];
+const MAX_CLOCK_SKEW = 5 * 60 * 1000;  // Reject Date headers further than this from now (replays)
+
+/**
+ * Parse a `Signature keyId="...",signature="..."` Authorization header
+ * @param {string} header - Authorization header value
+ * @returns {Object|null} { keyId, signature, headers, algorithm }, or null if not a signature header
+ */
+function parseSignatureHeader(header) {
+  if (!header || !/^Signature\s/i.test(header)) {
+    return null;
+  }
+
+  const params = {};
+  const pattern = /(\w+)="([^"]*)"/g;
+  let match;
+  while ((match = pattern.exec(header)) !== null) {
+    params[match[1]] = match[2];
+  }
+
+  if (!params.keyId || !params.signature) {
+    return null;
+  }
+
+  return {
+    keyId: params.keyId,
+    signature: params.signature,
+    headers: (params.headers || "date").split(" "),
+    algorithm: params.algorithm || "rsa-sha256"
+  };
+}
+
+/**
+ * Whether a keyId is a plain path on the key server
+ * Rejects anything that could change the host once appended to the key base URL
+ * (userinfo "@", a scheme, "//" authority, backslashes or "..", plain or encoded).
+ * @param {string} keyId - keyId from the signature header
+ * @returns {boolean} True if safe to resolve against the key base URL
+ */
+function isValidKeyId(keyId) {
+  return typeof keyId === "string" &&
+    keyId.startsWith("/") &&
+    !keyId.startsWith("//") &&
+    !/[@\\]|\.\.|%2e|:\/\//i.test(keyId);
+}
+
+/**
+ * Whether a Date header is within MAX_CLOCK_SKEW of now
+ * @param {string} date - Date header value
+ * @param {number} now - Current time in ms
+ * @returns {boolean} True if the date parses and is recent
+ */
+function isFreshDate(date, now = Date.now()) {
+  const time = Date.parse(date || "");
+  return Number.isFinite(time) && Math.abs(now - time) <= MAX_CLOCK_SKEW;
+}
+
+/**
+ * Compute the Digest header value for a request body
+ * @param {string|Buffer} body - Raw request body
+ * @returns {string} e.g. "SHA-256=base64..."
+ */
+function computeDigest(body) {
+  return "SHA-256=" + crypto.createHash("sha256").update(body).digest("base64");
+}
+
+/**
+ * Build the string that was signed
+ * @param {string} method - HTTP method
+ * @param {string} requestPath - Path including query string
+ * @param {Object} headers - Request headers (lower-case names)
+ * @param {Array<string>} headerNames - Header names listed in the signature
+ * @returns {string} Signing string
+ */
+function buildSigningString(method, requestPath, headers, headerNames) {
+  return headerNames.map((name) => {
+    if (name === "(request-target)") {
+      return "(request-target): " + method.toLowerCase() + " " + requestPath;
+    }
+    return name + ": " + (headers[name] || "");
+  }).join("\n");
+}
+
+/**
+ * Convert PEM key material (public key or X.509 certificate) to a KeyObject
+ * @param {string} pem - PEM text
+ * @returns {crypto.KeyObject} Public key
+ */
+function publicKeyFromPem(pem) {
+  if (pem.includes("BEGIN CERTIFICATE")) {
+    return new crypto.X509Certificate(pem).publicKey;
+  }
+  return crypto.createPublicKey(pem);
+}
+
+/**
+ * Verify a signed webhook request
+ * The signature must cover REQUIRED_HEADERS, the Digest must match the body and
+ * the Date must be recent.
+ * @param {Object} request - { method, path, headers, body }
+ * @param {Object} signature - Parsed signature header
+ * @param {crypto.KeyObject|string} publicKey - Key for signature.keyId
+ * @param {number} now - Current time in ms (for the Date check)
+ * @returns {boolean} True if digest, date and signature are valid
+ */
+function verifySignature(request, signature, publicKey, now = Date.now()) {
+  if (signature.algorithm !== "rsa-sha256" && signature.algorithm !== "hs2019") {
+    return false;
+  }
+
+  if (!REQUIRED_HEADERS.every((name) => signature.headers.includes(name))) {
+    return false;
+  }
+
+  if (request.headers.digest !== computeDigest(request.body) || !isFreshDate(request.headers.date, now)) {
+    return false;
+  }
+
+  const signingString = buildSigningString(request.method, request.path, request.headers, signature.headers);
+
+  try {
+    return crypto.verify(
+      "RSA-SHA256",
+      Buffer.from(signingString),
+      typeof publicKey === "string" ? publicKeyFromPem(publicKey) : publicKey,
+      Buffer.from(signature.signature, "base64")
+    );
+  } catch (err) {
+    return false;
+  }
+}
+
+module.exports = {
+  REQUIRED_HEADERS,
+  MAX_CLOCK_SKEW,
+  parseSignatureHeader,
+  isValidKeyId,
+  isFreshDate,
+  computeDigest,
+  buildSigningString,
+  publicKeyFromPem,
+  verifySignature
+};